@@ -0,0 +1,111 @@
+const axios = require('axios');
+
+// Document types are discovered from the publishing API's schema registry
+// rather than hard-coded, so new types only need a schema file there.
+const SCHEMA_CACHE_TTL = 60 * 1000;
+
+let cachedSchemas = null;
+let cachedAt = 0;
+
+// Fetch all document type schemas, keyed by document_type
+async function getSchemas() {
+  if (cachedSchemas && Date.now() - cachedAt < SCHEMA_CACHE_TTL) {
+    return cachedSchemas;
+  }
+
+  try {
+    const response = await axios.get('http://publishing-api:3000/schemas');
+    const schemas = {};
+    response.data.schemas.forEach(({ document_type, schema }) => {
+      schemas[document_type] = schema;
+    });
+    cachedSchemas = schemas;
+    cachedAt = Date.now();
+  } catch (error) {
+    // Serve the last known schemas if the publishing API is briefly unavailable
+    if (!cachedSchemas) throw error;
+    console.error('Failed to refresh schemas, using cached copy:', error.message);
+  }
+
+  return cachedSchemas;
+}
+
+// Fetch the schema for one document type, or null if it isn't registered
+async function getSchema(type) {
+  const schemas = await getSchemas();
+  return schemas[type] || null;
+}
+
+// Map of document_type to a human readable name
+async function getTypeLabels() {
+  const schemas = await getSchemas();
+  const labels = {};
+  Object.entries(schemas).forEach(([type, schema]) => {
+    labels[type] = schema.title || type;
+  });
+  return labels;
+}
+
+// Build an empty content item for a new document of the given type
+function emptyContent(schema, type) {
+  const content = { document_type: type, path: '' };
+  Object.entries(schema.properties).forEach(([field, property]) => {
+    if (property.type === 'array') {
+      content[field] = Array.from({ length: Math.max(property.minItems || 0, 1) }, () => ({}));
+    } else {
+      content[field] = '';
+    }
+  });
+  return content;
+}
+
+// Normalise a parsed form array. The urlencoded parser turns large indexes
+// into object keys, so accept either shape.
+function toArray(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(key => value[key]);
+  }
+  return [value];
+}
+
+// Convert submitted form fields into content for the publishing API. Empty
+// optional fields are dropped so they are cleared rather than saved as ''.
+function formToContent(schema, body) {
+  const content = {};
+  const required = schema.required || [];
+
+  Object.entries(schema.properties).forEach(([field, property]) => {
+    if (property.type === 'array') {
+      const itemProperties = (property.items && property.items.properties) || {};
+      content[field] = toArray(body[field])
+        .filter(item => item && typeof item === 'object')
+        .map(item => {
+          const part = {};
+          Object.keys(itemProperties).forEach(key => {
+            part[key] = item[key] || '';
+          });
+          return part;
+        })
+        .filter(part => Object.values(part).some(value => value !== ''));
+    } else {
+      const value = body[field] || '';
+      if (value !== '' || required.includes(field)) {
+        content[field] = value;
+      }
+    }
+  });
+
+  return content;
+}
+
+module.exports = {
+  getSchemas,
+  getSchema,
+  getTypeLabels,
+  emptyContent,
+  formToContent
+};
@@ -0,0 +1,110 @@
+// Sitemaps and Atom feeds, as XML, so crawlers and subscribers can find
+// content. Callers gather the pages and entries from published content;
+// this only writes them out.
+
+// A sitemap can list at most 50,000 URLs and be at most 50MB uncompressed
+// (sitemaps.org). More pages than that are split across several sitemaps,
+// listed by a sitemap index.
+const MAX_SITEMAP_URLS = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+// Escape text for XML. Control characters aren't allowed in XML at all, so
+// are dropped.
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// A date as the W3C datetime sitemaps and Atom use, or null if it isn't one
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// The latest of some dates, or null if there are none
+function latestDate(values) {
+  const times = values.map(value => new Date(value).getTime()).filter(time => !Number.isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Sitemaps listing pages, { url, lastmod }, as [{ xml, lastmod }]: one if
+// they all fit, otherwise as many as the limits need. There is always at
+// least one, empty if there are no pages.
+function buildSitemaps(pages) {
+  const open = `${XML_DECLARATION}<urlset xmlns="${SITEMAP_NAMESPACE}">\n`;
+  const close = '</urlset>\n';
+  const overhead = Buffer.byteLength(open) + Buffer.byteLength(close);
+  const sitemaps = [];
+  let entries = [];
+  let dates = [];
+  let bytes = overhead;
+
+  const finish = () => {
+    sitemaps.push({ xml: `${open}${entries.join('')}${close}`, lastmod: latestDate(dates) });
+    entries = [];
+    dates = [];
+    bytes = overhead;
+  };
+
+  pages.forEach(page => {
+    const lastmod = isoDate(page.lastmod);
+    const entry = `  <url><loc>${escapeXml(page.url)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>\n`;
+    const size = Buffer.byteLength(entry);
+    if (entries.length === MAX_SITEMAP_URLS || bytes + size > MAX_SITEMAP_BYTES) finish();
+    entries.push(entry);
+    if (lastmod) dates.push(lastmod);
+    bytes += size;
+  });
+  if (entries.length > 0 || sitemaps.length === 0) finish();
+  return sitemaps;
+}
+
+// A sitemap index listing sitemaps, { url, lastmod }
+function buildSitemapIndex(sitemaps) {
+  const entries = sitemaps.map(sitemap => {
+    const lastmod = isoDate(sitemap.lastmod);
+    return `  <sitemap><loc>${escapeXml(sitemap.url)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</sitemap>\n`;
+  });
+  return `${XML_DECLARATION}<sitemapindex xmlns="${SITEMAP_NAMESPACE}">\n${entries.join('')}</sitemapindex>\n`;
+}
+
+// An Atom feed. Entries are { title, url, updated, summary }, newest first;
+// each page is one entry, identified by its URL, so a page published again
+// is updated in feed readers rather than repeated.
+function buildAtomFeed({ title, url, feedUrl, author, entries }) {
+  const updated = isoDate(latestDate(entries.map(entry => entry.updated))) || new Date().toISOString();
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.url)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+    `    <updated>${isoDate(entry.updated) || updated}</updated>`,
+    entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+    '  </entry>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    `${XML_DECLARATION}<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(author)}</name></author>`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildSitemaps,
+  buildSitemapIndex,
+  buildAtomFeed
+};
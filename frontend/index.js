@@ -1,107 +1,502 @@
 const express = require('express');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { getSchemas, getSchema, getTypeLabels, emptyContent, formToContent } = require('./content-schemas');
+const { renderGovspeak } = require('mini-govuk-shared/govspeak');
+const { PRINT_PATH, feedPath } = require('mini-govuk-shared/reserved-paths');
+const { buildSitemaps, buildSitemapIndex, buildAtomFeed } = require('./feeds');
 
 const app = express();
 app.set('view engine', 'ejs');
+// Templates render fields with x-format govspeak through this
+app.locals.renderGovspeak = renderGovspeak;
 app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
 
+// Roles in the same order as the publishing API: each includes the ones before
+const ROLES = ['writer', 'publisher', 'admin'];
+
+// Cookie holding the publishing API session token of the signed-in user
+const SESSION_COOKIE = 'session';
+
+// The session token from the request's cookie, if any
+function sessionToken(req) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+// Request options that call the publishing API as the signed-in user
+function asUser(req) {
+  const token = sessionToken(req);
+  return { headers: token ? { Authorization: `Bearer ${token}` } : {} };
+}
+
+// Cache-Control for public pages, which the router caches for people who
+// aren't signed in. Browsers are told to check back every time, so pages the
+// router purges when content is published don't linger in them. Search
+// pages are kept for less time, as the router isn't told when they change.
+const PAGE_CACHE_CONTROL = 'public, max-age=0, s-maxage=300';
+const SEARCH_CACHE_CONTROL = 'public, max-age=0, s-maxage=60';
+
+// Whether a user's role includes the rights of another
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// The address people reach the site on, through the router, e.g.
+// https://www.example.com, for links that must be absolute. It is set rather
+// than taken from request headers, which anyone can send, so a cached
+// sitemap or feed can't be made to point somewhere else.
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3002').replace(/\/+$/, '');
+
+// The publishing API's own error message if it sent one
+function apiErrorMessage(error) {
+  return (error.response && error.response.data && error.response.data.error) || error.message;
+}
+
+// Pick the template for a document type: a type-specific template such as
+// content-guide.ejs if one exists, otherwise the generic schema-driven one
+function viewForType(prefix, type) {
+  const view = `${prefix}-${type}`;
+  const file = path.join(app.get('views'), `${view}.ejs`);
+  return fs.existsSync(file) ? view : `${prefix}-generic`;
+}
+
+// The template and part for a page of content, or null if there is no such
+// page. Guides are shown a part at a time: the guide's own path shows its
+// first part, /guide/<part slug> the others, and /guide/print all of them.
+// Other types have no pages under their path.
+function contentPage(content, partSlug) {
+  const view = viewForType('content', content.document_type);
+  if (view !== 'content-guide') return partSlug ? null : { view };
+  if (partSlug === PRINT_PATH) return { view: 'content-guide-print' };
+  const partIndex = partSlug ? (content.parts || []).findIndex(part => part.slug === partSlug) : 0;
+  return partIndex === -1 ? null : { view, partIndex };
+}
+
+// The paths of a content item's pages, as contentPage serves them: its own,
+// and for guides each later part's
+function contentPaths(content) {
+  if (viewForType('content', content.document_type) !== 'content-guide') return [content.path];
+  const parts = (content.parts || []).slice(1).filter(part => part.slug);
+  return [content.path, ...parts.map(part => `${content.path}/${part.slug}`)];
+}
+
 // Homepage - list all content
 app.get('/', async (req, res) => {
   try {
     const response = await axios.get('http://publishing-api:3000/published-content');
+    res.set('Cache-Control', PAGE_CACHE_CONTROL);
     res.render('index', { contents: response.data.contents });
   } catch (error) {
     res.render('error', { error: error.message });
   }
 });
 
+// Sitemaps, feeds and robots.txt, for crawlers and subscribers. They list
+// published content only, not withdrawn content, and the router purges them
+// when content changes.
+
+// Entries in a feed, the most recently published first
+const FEED_SIZE = 20;
+
+// Published content, the most recently published first
+async function publishedContents() {
+  const response = await axios.get('http://publishing-api:3000/published-content');
+  return response.data.contents.filter(content => content.state === 'published');
+}
+
+// Sitemaps of the homepage and every published page, each page last
+// modified when it was published
+async function buildSiteSitemaps() {
+  const contents = await publishedContents();
+  const pages = [
+    { url: `${SITE_URL}/`, lastmod: contents.length > 0 ? contents[0].publishedAt : null },
+    ...contents.flatMap(content => contentPaths(content).map(path => ({ url: `${SITE_URL}/${path}`, lastmod: content.publishedAt })))
+  ];
+  return buildSitemaps(pages);
+}
+
+// Send an Atom feed of published content, optionally of one document type.
+// Entries are summarised by their change note, or failing that their lead
+// text, such as a guide's introduction.
+async function sendFeed(res, { title, path, type }) {
+  try {
+    const schemas = await getSchemas();
+    const contents = (await publishedContents())
+      .filter(content => !type || content.document_type === type)
+      .slice(0, FEED_SIZE);
+    const summaryOf = (content) => {
+      const properties = (schemas[content.document_type] || {}).properties || {};
+      const leadField = Object.keys(properties).find(field => properties[field]['x-display'] === 'lead');
+      return content.change_note || (leadField && content[leadField]) || '';
+    };
+    
+    res.set('Cache-Control', PAGE_CACHE_CONTROL);
+    res.type('application/atom+xml').send(buildAtomFeed({
+      title,
+      url: `${SITE_URL}/`,
+      feedUrl: `${SITE_URL}/${path}`,
+      author: 'Mini GOV.UK',
+      entries: contents.map(content => ({
+        title: content.title,
+        url: `${SITE_URL}/${content.path}`,
+        updated: content.publishedAt,
+        summary: summaryOf(content)
+      }))
+    }));
+  } catch (error) {
+    console.error('Feed error:', error.message);
+    res.status(503).type('text').send('The feed is unavailable');
+  }
+}
+
+// Ask crawlers to keep out of admin, previews and search results
+app.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', PAGE_CACHE_CONTROL);
+  res.type('text').send([
+    'User-agent: *',
+    'Disallow: /admin',
+    'Disallow: /preview',
+    'Disallow: /search',
+    '',
+    `Sitemap: ${SITE_URL}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
+
+// Sitemap of every published page, or once there are too many for one
+// sitemap, a sitemap index of /sitemaps/sitemap-1.xml and so on
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const sitemaps = await buildSiteSitemaps();
+    res.set('Cache-Control', PAGE_CACHE_CONTROL);
+    if (sitemaps.length === 1) {
+      return res.type('application/xml').send(sitemaps[0].xml);
+    }
+    res.type('application/xml').send(buildSitemapIndex(sitemaps.map((sitemap, index) => ({
+      url: `${SITE_URL}/sitemaps/sitemap-${index + 1}.xml`,
+      lastmod: sitemap.lastmod
+    }))));
+  } catch (error) {
+    console.error('Sitemap error:', error.message);
+    res.status(503).type('text').send('The sitemap is unavailable');
+  }
+});
+
+// One of the sitemaps a sitemap index lists
+app.get('/sitemaps/sitemap-:number(\\d+).xml', async (req, res) => {
+  try {
+    const sitemaps = await buildSiteSitemaps();
+    const sitemap = sitemaps.length > 1 ? sitemaps[Number(req.params.number) - 1] : null;
+    if (!sitemap) {
+      return res.status(404).type('text').send('Sitemap not found');
+    }
+    res.set('Cache-Control', PAGE_CACHE_CONTROL);
+    res.type('application/xml').send(sitemap.xml);
+  } catch (error) {
+    console.error('Sitemap error:', error.message);
+    res.status(503).type('text').send('The sitemap is unavailable');
+  }
+});
+
+// Atom feed of everything published
+app.get('/feed.atom', (req, res) => {
+  sendFeed(res, { title: 'Mini GOV.UK', path: 'feed.atom' });
+});
+
+// Atom feed of one document type, named after it, e.g. /guides.atom
+app.get('/:type([a-z0-9-]+)s.atom', async (req, res, next) => {
+  try {
+    const schema = await getSchema(req.params.type);
+    if (!schema) return next();
+    sendFeed(res, { title: `${schema.title} - Mini GOV.UK`, path: feedPath(req.params.type), type: req.params.type });
+  } catch (error) {
+    console.error('Feed error:', error.message);
+    res.status(503).type('text').send('The feed is unavailable');
+  }
+});
+
 // Admin routes should be defined before the wildcard content route
+// Sign in form
+app.get('/admin/login', (req, res) => {
+  res.render('login', { error: null, username: '' });
+});
+
+// Sign in, keeping the session token in a cookie
+app.post('/admin/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const response = await axios.post('http://publishing-api:3000/sessions', { username, password });
+    res.cookie(SESSION_COOKIE, response.data.token, { httpOnly: true, sameSite: 'lax' });
+    res.redirect('/admin');
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      return res.status(401).render('login', { error: apiErrorMessage(error), username });
+    }
+    res.render('error', { error: error.message });
+  }
+});
+
+// Everything else in the admin needs someone signed in
+app.use('/admin', async (req, res, next) => {
+  try {
+    const response = await axios.get('http://publishing-api:3000/sessions/current', asUser(req));
+    req.user = response.data.user;
+    res.locals.currentUser = req.user;
+    res.locals.hasRole = (role) => hasRole(req.user, role);
+    next();
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      res.clearCookie(SESSION_COOKIE);
+      return res.redirect('/admin/login');
+    }
+    res.render('error', { error: error.message });
+  }
+});
+
+// Sign out
+app.post('/admin/logout', async (req, res) => {
+  await axios.delete('http://publishing-api:3000/sessions/current', asUser(req))
+    .catch(error => console.error('Failed to end session:', error.message));
+  res.clearCookie(SESSION_COOKIE);
+  res.redirect('/admin/login');
+});
+
 // Admin page - list all content with edit links
 app.get('/admin', async (req, res) => {
   console.log('[FRONTEND] Admin request received:');
 
   try {
-    const response = await axios.get('http://publishing-api:3000/content');
-    res.render('admin', { 
+    const response = await axios.get('http://publishing-api:3000/content', asUser(req));
+    res.render('admin', {
       contents: response.data.contents,
+      typeLabels: await getTypeLabels(),
       // Add a simple helper to format dates
       formatDate: (date) => date ? new Date(date).toLocaleString() : 'Not published'
     });
   } catch (error) {
-    res.render('error', { error: error.message });
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Users and API tokens page
+app.get('/admin/users', async (req, res) => {
+  try {
+    await renderUsersPage(req, res, {});
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Render the users page, with the outcome of the last change if any
+async function renderUsersPage(req, res, { error = null, newToken = null }) {
+  if (!hasRole(req.user, 'admin')) {
+    return res.status(403).render('error', { error: 'Only admins can manage users' });
+  }
+
+  const [usersResponse, tokensResponse] = await Promise.all([
+    axios.get('http://publishing-api:3000/users', asUser(req)),
+    axios.get('http://publishing-api:3000/tokens', asUser(req))
+  ]);
+
+  res.status(error ? 400 : 200).render('users', {
+    users: usersResponse.data.users,
+    tokens: tokensResponse.data.tokens,
+    roles: ROLES,
+    error,
+    newToken,
+    formatDate: (date) => date ? new Date(date).toLocaleString() : 'Never'
+  });
+}
+
+// Create a user
+app.post('/admin/users', async (req, res) => {
+  try {
+    const { username, name, role, password } = req.body;
+    await axios.post('http://publishing-api:3000/users', { username, name, role, password }, asUser(req));
+    res.redirect('/admin/users');
+  } catch (error) {
+    if (error.response && [400, 409].includes(error.response.status)) {
+      return renderUsersPage(req, res, { error: apiErrorMessage(error) })
+        .catch(renderError => res.render('error', { error: renderError.message }));
+    }
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Change a user's role or password, or disable or re-enable them
+app.post('/admin/users/:id', async (req, res) => {
+  try {
+    const { name, role, password, disabled } = req.body;
+    const update = { name, role };
+    if (password) update.password = password;
+    if (disabled !== undefined) update.disabled = disabled === 'true';
+
+    await axios.patch(`http://publishing-api:3000/users/${req.params.id}`, update, asUser(req));
+    res.redirect('/admin/users');
+  } catch (error) {
+    if (error.response && [400, 409].includes(error.response.status)) {
+      return renderUsersPage(req, res, { error: apiErrorMessage(error) })
+        .catch(renderError => res.render('error', { error: renderError.message }));
+    }
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Create an API token, showing it this one time
+app.post('/admin/tokens', async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    const response = await axios.post('http://publishing-api:3000/tokens', { name, role }, asUser(req));
+    await renderUsersPage(req, res, { newToken: response.data });
+  } catch (error) {
+    if (error.response && [400, 409].includes(error.response.status)) {
+      return renderUsersPage(req, res, { error: apiErrorMessage(error) })
+        .catch(renderError => res.render('error', { error: renderError.message }));
+    }
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Revoke an API token
+app.post('/admin/tokens/:id/revoke', async (req, res) => {
+  try {
+    await axios.delete(`http://publishing-api:3000/tokens/${req.params.id}`, asUser(req));
+    res.redirect('/admin/users');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
   }
 });
 
 // New content form with document type selection
-app.get('/admin/new', (req, res) => {
-  res.render('select-type');
+app.get('/admin/new', async (req, res) => {
+  try {
+    res.render('select-type', { schemas: await getSchemas() });
+  } catch (error) {
+    res.render('error', { error: error.message });
+  }
 });
 
 // New content form for specific document type
-app.get('/admin/new/:type', (req, res) => {
-  const type = req.params.type;
-  let content = { document_type: type, path: '' };
-  
-  if (type === 'simple-page') {
-    content.title = '';
-    content.body = '';
-  } else if (type === 'guide') {
-    content.title = '';
-    content.introduction = '';
-    content.parts = [{ title: '', body: '' }];
+app.get('/admin/new/:type', async (req, res) => {
+  try {
+    const type = req.params.type;
+    const schema = await getSchema(type);
+    
+    if (!schema) {
+      return res.status(404).render('error', { error: `Unknown content type: ${type}` });
+    }
+    
+    const content = emptyContent(schema, type);
+    res.render('edit-content', { content, schema, isNew: true, errors: [], conflict: null, lock: null });
+  } catch (error) {
+    res.render('error', { error: error.message });
   }
-  
-  res.render(`edit-${type}`, { content, isNew: true });
 });
 
+// Take or refresh the soft edit lock on a content item. Returns the lock if
+// someone else holds it, otherwise null.
+async function takeEditLock(req, path) {
+  try {
+    await axios.put(`http://publishing-api:3000/content/${path}/lock`, {}, asUser(req));
+    return null;
+  } catch (error) {
+    if (error.response && error.response.status === 409) {
+      return error.response.data.lock;
+    }
+    // Locks are only advisory, so editing carries on without one
+    console.error('Failed to take edit lock:', error.message);
+    return null;
+  }
+}
+
 // Edit content form
 app.get('/admin/edit/:path', async (req, res) => {
   try {
     const path = req.params.path;
-    const response = await axios.get(`http://publishing-api:3000/content/${path}`);
+    const response = await axios.get(`http://publishing-api:3000/content/${path}`, asUser(req));
     const content = response.data.content;
+    const schema = await getSchema(content.document_type);
     
-    if (content.document_type === 'simple-page') {
-      res.render('edit-simple-page', { content, isNew: false });
-    } else if (content.document_type === 'guide') {
-      res.render('edit-guide', { content, isNew: false });
-    } else {
-      res.render('error', { error: 'Unknown content type' });
+    if (!schema) {
+      return res.render('error', { error: 'Unknown content type' });
     }
+    
+    const lock = await takeEditLock(req, path);
+    res.render('edit-content', { content, schema, isNew: false, errors: [], conflict: null, lock });
   } catch (error) {
     res.render('error', { error: error.message });
   }
 });
 
+// Keep the edit lock alive while the edit form is open
+app.post('/admin/lock/:path', async (req, res) => {
+  const lock = await takeEditLock(req, req.params.path);
+  res.json({ lock });
+});
+
+// Render Govspeak for the edit form's live preview of a field, by its id
+app.post('/admin/govspeak-preview', (req, res) => {
+  res.type('html').send(renderGovspeak(req.body.body || '', { idPrefix: `${req.body.id || 'govspeak'}-preview-` }));
+});
+
 // Save content based on document type
 app.post('/admin/save/:type', async (req, res) => {
+  const type = req.params.type;
+  
   try {
-    const type = req.params.type;
-    let contentData = {};
-    
-    if (type === 'simple-page') {
-      const { title, body, path } = req.body;
-      contentData = { title, body, path, document_type: type };
-    } else if (type === 'guide') {
-      const { title, introduction, path, partTitles, partBodies } = req.body;
-      const parts = [];
-      
-      // Convert form data to parts array
-      const titles = Array.isArray(partTitles) ? partTitles : [partTitles];
-      const bodies = Array.isArray(partBodies) ? partBodies : [partBodies];
-      
-      for (let i = 0; i < titles.length; i++) {
-        parts.push({
-          title: titles[i],
-          body: bodies[i]
+    const schema = await getSchema(type);
+    
+    if (!schema) {
+      return res.status(404).render('error', { error: `Unknown content type: ${type}` });
+    }
+    
+    const contentData = { 
+      ...formToContent(schema, req.body), 
+      path: req.body.path, 
+      document_type: type,
+      version_token: req.body.version_token || '',
+      change_note: req.body.change_note || ''
+    };
+    const isNew = req.body.isNew === 'true';
+    
+    try {
+      await axios.post('http://publishing-api:3000/content', contentData, asUser(req));
+    } catch (error) {
+      // Show field-level validation errors on the form
+      if (error.response && error.response.status === 400 && error.response.data.errors) {
+        return res.status(400).render('edit-content', {
+          content: contentData,
+          schema,
+          isNew,
+          errors: error.response.data.errors,
+          conflict: null,
+          lock: null
         });
       }
       
-      contentData = { title, introduction, parts, path, document_type: type };
+      // Someone else saved first: show what changed, with the editor's own
+      // changes kept in the form and the latest token so they can resubmit
+      if (error.response && error.response.status === 409) {
+        const conflict = error.response.data.conflict;
+        return res.status(409).render('edit-content', {
+          content: { ...contentData, version_token: conflict ? conflict.version_token : '' },
+          schema,
+          isNew: isNew && !conflict,
+          errors: [],
+          conflict: conflict || { changes: [] },
+          lock: null
+        });
+      }
+      throw error;
     }
     
-    await axios.post('http://publishing-api:3000/content', contentData);
+    await axios.delete(`http://publishing-api:3000/content/${contentData.path}/lock`, asUser(req))
+      .catch(error => console.error('Failed to release edit lock:', error.message));
+    
     res.redirect('/admin');
   } catch (error) {
     res.render('error', { error: error.message });
@@ -112,78 +507,414 @@ app.post('/admin/save/:type', async (req, res) => {
 app.post('/admin/publish/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    await axios.post(`http://publishing-api:3000/content/${id}/publish`);
+    await axios.post(`http://publishing-api:3000/content/${id}/publish`, {}, asUser(req));
+    res.redirect('/admin');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Move a draft through review: submit, approve or reject
+app.post('/admin/:action(submit|approve|reject)/:id', async (req, res) => {
+  try {
+    const { action, id } = req.params;
+    await axios.post(
+      `http://publishing-api:3000/content/${id}/${action}`, 
+      { comment: req.body.comment }, 
+      asUser(req)
+    );
+    res.redirect('/admin');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Schedule content to be published later
+app.post('/admin/schedule/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    await axios.post(`http://publishing-api:3000/content/${id}/schedule`, {
+      publishAt: new Date(req.body.publishAt).toISOString()
+    }, asUser(req));
+    res.redirect('/admin');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Cancel a scheduled publish
+app.post('/admin/unschedule/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    await axios.delete(`http://publishing-api:3000/content/${id}/schedule`, asUser(req));
     res.redirect('/admin');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// History of a content item, newest change first
+app.get('/admin/history/:path', async (req, res) => {
+  try {
+    const path = req.params.path;
+    const page = req.query.page || '1';
+    const response = await axios.get(`http://publishing-api:3000/content/${path}/history?page=${encodeURIComponent(page)}`, asUser(req));
+    const { content, events, totalPages } = response.data;
+    
+    res.render('history', {
+      content,
+      events,
+      page: response.data.page,
+      totalPages,
+      schema: await getSchema(content.document_type),
+      formatDate: (date) => date ? new Date(date).toLocaleString() : ''
+    });
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Make a preview link to share a draft with someone who has no admin account
+app.post('/admin/preview-link/:path', async (req, res) => {
+  try {
+    const path = req.params.path;
+    const response = await axios.post(`http://publishing-api:3000/content/${path}/preview-tokens`, {
+      expires_in_hours: req.body.expires_in_hours || undefined
+    }, asUser(req));
+    
+    res.render('preview-link', {
+      path,
+      url: `${SITE_URL}/preview/${path}?token=${encodeURIComponent(response.data.token)}`,
+      expiresAt: new Date(response.data.expiresAt).toLocaleString()
+    });
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Link types editors can manage, with the number of items each allows
+const LINK_FIELDS = [
+  { type: 'parent', label: 'Parent', multiple: false },
+  { type: 'related_items', label: 'Related content', multiple: true },
+  { type: 'organisations', label: 'Organisations', multiple: true },
+  { type: 'taxons', label: 'Topics', multiple: true }
+];
+
+// Render the links form for a content item
+async function renderLinksForm(req, res, path, links, errors) {
+  const [contentResponse, listResponse] = await Promise.all([
+    axios.get(`http://publishing-api:3000/content/${path}`, asUser(req)),
+    axios.get('http://publishing-api:3000/content', asUser(req))
+  ]);
+  const content = contentResponse.data.content;
+  const incomingResponse = await axios.get(`http://publishing-api:3000/links/${content.content_id}/incoming`, asUser(req));
+  
+  if (!links) {
+    const linksResponse = await axios.get(`http://publishing-api:3000/links/${content.content_id}`, asUser(req));
+    links = linksResponse.data.links;
+  }
+  
+  res.status(errors.length > 0 ? 400 : 200).render('edit-links', {
+    content,
+    links,
+    errors,
+    linkFields: LINK_FIELDS,
+    incoming: incomingResponse.data.incoming,
+    // Everything except the item itself can be linked to
+    options: listResponse.data.contents.filter(item => item.content_id !== content.content_id)
+  });
+}
+
+// Links form
+app.get('/admin/links/:path', async (req, res) => {
+  try {
+    await renderLinksForm(req, res, req.params.path, null, []);
+  } catch (error) {
+    res.render('error', { error: error.message });
+  }
+});
+
+// Save links
+app.post('/admin/links/:path', async (req, res) => {
+  const path = req.params.path;
+  const links = {};
+  LINK_FIELDS.forEach(({ type }) => {
+    const value = req.body[type];
+    links[type] = (Array.isArray(value) ? value : [value]).filter(Boolean);
+  });
+  
+  try {
+    const response = await axios.get(`http://publishing-api:3000/content/${path}`, asUser(req));
+    await axios.patch(`http://publishing-api:3000/links/${response.data.content.content_id}`, { links }, asUser(req));
+    res.redirect('/admin');
+  } catch (error) {
+    if (error.response && error.response.status === 400 && error.response.data.errors) {
+      try {
+        return await renderLinksForm(req, res, path, links, error.response.data.errors);
+      } catch (renderError) {
+        return res.render('error', { error: renderError.message });
+      }
+    }
+    res.render('error', { error: error.message });
+  }
+});
+
+// Unpublish form
+app.get('/admin/unpublish/:path', async (req, res) => {
+  try {
+    const path = req.params.path;
+    const response = await axios.get(`http://publishing-api:3000/content/${path}`, asUser(req));
+    res.render('unpublish', { content: response.data.content });
   } catch (error) {
     res.render('error', { error: error.message });
   }
 });
 
+// Unpublish content
+app.post('/admin/unpublish/:path', async (req, res) => {
+  try {
+    const path = req.params.path;
+    const { type, alternative_path, explanation } = req.body;
+    const response = await axios.get(`http://publishing-api:3000/content/${path}`, asUser(req));
+    await axios.post(`http://publishing-api:3000/content/${response.data.content._id}/unpublish`, {
+      type,
+      alternative_path,
+      explanation
+    }, asUser(req));
+    res.redirect('/admin');
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Best and worst bets page, for publishers
+app.get('/admin/best-bets', async (req, res) => {
+  try {
+    await renderBestBetsPage(req, res, {});
+  } catch (error) {
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Render the best bets page, with why the last change failed if it did
+async function renderBestBetsPage(req, res, { error = null }) {
+  if (!hasRole(req.user, 'publisher')) {
+    return res.status(403).render('error', { error: 'Only publishers can manage best bets' });
+  }
+
+  const response = await axios.get('http://search-api:3003/best-bets', asUser(req));
+  res.status(error ? 400 : 200).render('best-bets', {
+    bestBets: response.data.bestBets,
+    error,
+    formatDate: (date) => new Date(date).toLocaleString()
+  });
+}
+
+// The fields of a bet from a best bets form: a position for a best bet or
+// an action for a worst one. A blank position is left out, so a new bet
+// goes first and a changed one keeps its place.
+function bestBetFromForm({ query, match, kind, path, position, action, comment }) {
+  return kind === 'best'
+    ? { query, match, kind, path, ...(position ? { position } : {}), comment }
+    : { query, match, kind, path, action, comment };
+}
+
+// Show a best bets change the search API turned down on the page, or fail
+function bestBetsError(req, res, error) {
+  if (error.response && [400, 404, 409].includes(error.response.status)) {
+    return renderBestBetsPage(req, res, { error: apiErrorMessage(error) })
+      .catch(renderError => res.render('error', { error: apiErrorMessage(renderError) }));
+  }
+  res.render('error', { error: apiErrorMessage(error) });
+}
+
+// Add a best or worst bet
+app.post('/admin/best-bets', async (req, res) => {
+  try {
+    await axios.post('http://search-api:3003/best-bets', bestBetFromForm(req.body), asUser(req));
+    res.redirect('/admin/best-bets');
+  } catch (error) {
+    bestBetsError(req, res, error);
+  }
+});
+
+// Change a bet
+app.post('/admin/best-bets/:id', async (req, res) => {
+  try {
+    await axios.patch(`http://search-api:3003/best-bets/${req.params.id}`, bestBetFromForm(req.body), asUser(req));
+    res.redirect('/admin/best-bets');
+  } catch (error) {
+    bestBetsError(req, res, error);
+  }
+});
+
+// Remove a bet
+app.post('/admin/best-bets/:id/delete', async (req, res) => {
+  try {
+    await axios.delete(`http://search-api:3003/best-bets/${req.params.id}`, asUser(req));
+    res.redirect('/admin/best-bets');
+  } catch (error) {
+    bestBetsError(req, res, error);
+  }
+});
+
+// Search analytics dashboard, for publishers: top queries, queries with no
+// results and click-through rate by rank, between two dates
+app.get('/admin/search-analytics', async (req, res) => {
+  if (!hasRole(req.user, 'publisher')) {
+    return res.status(403).render('error', { error: 'Only publishers can see search analytics' });
+  }
+
+  const { from, to } = req.query;
+  try {
+    const response = await axios.get('http://search-api:3003/analytics/report', { ...asUser(req), params: { from, to } });
+    const report = response.data.report;
+    res.render('search-analytics', {
+      report,
+      from: report.from,
+      to: report.to,
+      error: null,
+      percent: (rate) => `${(rate * 100).toFixed(1)}%`,
+      formatDate: (date) => new Date(date).toLocaleString()
+    });
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return res.status(400).render('search-analytics', { report: null, from, to, error: apiErrorMessage(error) });
+    }
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// Fields of the advanced search panel, written into the search API's query
+// language so the search box shows the query they make
+function buildAdvancedQuery({ all, phrase, any, none, title, path: pathPrefix }) {
+  // Words typed in a field, without the characters the query language uses
+  const words = (text) => String(text || '')
+    .replace(/["()]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^-+/, ''))
+    .filter(word => word && word !== 'OR' && word !== 'AND');
+  const parts = [...words(all)];
+  
+  const exact = words(phrase).join(' ');
+  if (exact) parts.push(`"${exact}"`);
+  
+  const alternatives = words(any);
+  if (alternatives.length > 1) {
+    parts.push(`(${alternatives.join(' OR ')})`);
+  } else {
+    parts.push(...alternatives);
+  }
+  
+  words(none).forEach(word => parts.push(`-${word}`));
+  words(title).forEach(word => parts.push(`title:${word}`));
+  words(pathPrefix).slice(0, 1).forEach(prefix => parts.push(`path:${prefix}`));
+  return parts.join(' ');
+}
+
+// Search filters and sort order passed on to the search API
+const SEARCH_FILTER_PARAMS = ['type', 'organisation', 'taxon', 'updated_after', 'updated_before', 'sort'];
+
 // Search
 app.get('/search', async (req, res) => {
   console.log('[FRONTEND] Search request received:', req.query);
 
   try {
-    const query = req.query.q || '';
+    const query = [req.query.q, buildAdvancedQuery(req.query)].filter(Boolean).join(' ').trim();
     const page = req.query.page || '1';
     const pageSize = req.query.pageSize || '10';
-    const type = req.query.type || '';
     
-    if (!query) {
-      return res.render('search-results', { 
-        query, 
-        results: [], 
-        total: 0,
-        page: 1,
-        pageSize: 10,
-        totalPages: 0,
-        type: '',
-        highlightQuery: (text) => text,
-        formatDate: (date) => date ? new Date(date).toLocaleString() : ''
+    // Filters and sort order, kept through pagination
+    const filters = {};
+    SEARCH_FILTER_PARAMS.forEach(param => {
+      const values = [].concat(req.query[param] || []).filter(Boolean);
+      if (values.length > 0) filters[param] = values;
+    });
+    const selected = (param) => filters[param] || [];
+    
+    // Parameters of this search with some changed; null removes one
+    const searchParams = (changes = {}) => {
+      const params = new URLSearchParams();
+      Object.entries({ q: query, ...filters, pageSize, page: 1, ...changes }).forEach(([param, value]) => {
+        [].concat(value === null || value === undefined ? [] : value).forEach(item => params.append(param, item));
       });
-    }
+      return params;
+    };
+    const searchUrl = (changes) => `/search?${searchParams(changes)}`;
     
-    // Build search URL with all parameters
-    const searchUrl = `http://search-api:3003/search?q=${encodeURIComponent(query)}${page ? `&page=${page}` : ''}${pageSize ? `&pageSize=${pageSize}` : ''}${type ? `&type=${type}` : ''}`;
+    const view = {
+      query,
+      queryError: null,
+      results: [],
+      total: 0,
+      page: 1,
+      pageSize: parseInt(pageSize),
+      totalPages: 0,
+      facets: null,
+      suggestion: null,
+      selected,
+      searchUrl,
+      resultUrl: (result) => `/${result.path}`,
+      typeLabels: await getTypeLabels(),
+      highlightQuery: (text) => text,
+      formatDate: (date) => date ? new Date(date).toLocaleString() : ''
+    };
     
-    const response = await axios.get(searchUrl);
+    if (!query) {
+      res.set('Cache-Control', SEARCH_CACHE_CONTROL);
+      return res.render('search-results', view);
+    }
     
-    // Function to highlight search terms in text
-    const highlightQuery = (text) => {
-      if (!text || !query) return text;
-      
-      const safeText = String(text).replace(/</g, '&lt;').replace(/>/g, '&gt;');
-      const tokens = query.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(token => token.length > 1);
+    let response;
+    try {
+      response = await axios.get(`http://search-api:3003/search?${searchParams({ page })}`);
+    } catch (error) {
+      // A query or filter the search API can't understand, shown with its explanation
+      if (error.response && error.response.status === 400) {
+        return res.status(400).render('search-results', { ...view, queryError: apiErrorMessage(error) });
+      }
+      throw error;
+    }
+    
+    // Function to highlight search terms in text. The search API says where
+    // the matches are, as found by its analyser, so stemmed forms and
+    // synonyms are highlighted the same way they were matched.
+    const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const highlightQuery = (text, ranges) => {
+      if (!text) return text;
       
-      let result = safeText;
-      tokens.forEach(token => {
-        if (token.length < 2) return; // Skip very short tokens
-        const regex = new RegExp(`(${token})`, 'gi');
-        result = result.replace(regex, '<span class="highlight">$1</span>');
+      let result = '';
+      let position = 0;
+      (ranges || []).forEach(([start, end]) => {
+        result += escapeHtml(text.slice(position, start));
+        result += `<span class="highlight">${escapeHtml(text.slice(start, end))}</span>`;
+        position = end;
       });
       
-      return result;
+      return result + escapeHtml(text.slice(position));
     };
     
-    // Format date helper
-    const formatDate = (date) => {
-      if (!date) return '';
-      return new Date(date).toLocaleString();
-    };
+    // Result links go through /search/click, which counts the click for the
+    // search API's analytics before going to the page
+    const resultUrl = (result, index) => `/search/click?${new URLSearchParams({
+      search: response.data.searchId || '',
+      rank: (parseInt(page) - 1) * response.data.pageSize + index + 1,
+      path: result.path,
+      ...(result.part ? { part: result.part.slug } : {})
+    })}`;
     
+    // Results aren't cached, so every search reaches the search API's
+    // analytics with its own search id
     res.render('search-results', { 
-      query,
+      ...view,
       results: response.data.results,
       total: response.data.total,
       page: parseInt(page),
-      pageSize: parseInt(pageSize),
       totalPages: response.data.totalPages,
-      type,
-      highlightQuery,
-      formatDate
+      facets: response.data.facets,
+      suggestion: response.data.suggestion || null,
+      resultUrl,
+      highlightQuery
     });
   } catch (error) {
     console.error('Search error:', error.message);
@@ -191,21 +922,133 @@ app.get('/search', async (req, res) => {
   }
 });
 
-// View content page
-app.get('/:path', async (req, res) => {
+// Record a click on a search result, then go to the result, or the part of
+// it that matched, such as a guide part. A redirect rather than a script, so
+// clicks are counted without JavaScript.
+app.get('/search/click', (req, res) => {
+  // Only ever to a page on this site
+  const path = String(req.query.path || '').replace(/^[/\\]+/, '');
+  const part = String(req.query.part || '');
+  const rank = parseInt(req.query.rank);
+  if (req.query.search && path && rank > 0) {
+    axios.post('http://search-api:3003/analytics/clicks', { searchId: req.query.search, path, rank })
+      .catch(error => console.error('Failed to record search click:', error.message));
+  }
+  res.redirect(/^[a-z0-9-]+$/.test(part) ? `/${path}/${part}` : `/${path}`);
+});
+
+// Title suggestions for the search box's autocomplete, from the search API
+app.get('/search/suggest', async (req, res) => {
+  try {
+    const response = await axios.get('http://search-api:3003/suggest', { params: { q: req.query.q || '' } });
+    res.set('Cache-Control', SEARCH_CACHE_CONTROL);
+    res.json({ suggestions: response.data.suggestions });
+  } catch (error) {
+    // Autocomplete is an extra, so it quietly offers nothing
+    console.error('Suggest error:', error.message);
+    res.json({ suggestions: [] });
+  }
+});
+
+// Health check for the router's backend registry
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Preview pages are never cached or indexed, whatever they show
+app.use('/preview', (req, res, next) => {
+  res.set('Cache-Control', 'no-store, private');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+  next();
+});
+
+// Preview a draft, as a signed-in editor or with a shared preview link's
+// token, with a banner saying it isn't published
+app.get('/preview/:path/:part?', async (req, res) => {
+  const token = String(req.query.token || '');
+  if (!token && !sessionToken(req)) {
+    return res.redirect('/admin/login');
+  }
+  
+  try {
+    const options = asUser(req);
+    if (token) options.headers['X-Preview-Token'] = token;
+    const response = await axios.get(`http://publishing-api:3000/draft-content/${encodeURIComponent(req.params.path)}`, options);
+    const content = response.data.content;
+    
+    const schema = await getSchema(content.document_type);
+    if (!schema) {
+      return res.render('error', { error: 'Unknown content type' });
+    }
+    
+    const page = contentPage(content, req.params.part);
+    if (!page) {
+      return res.status(404).render('error', { error: 'Page not found' });
+    }
+    
+    // Links between a guide's pages stay in the preview, with its token
+    const query = token ? `?${new URLSearchParams({ token })}` : '';
+    res.render(page.view, {
+      content,
+      schema,
+      partIndex: page.partIndex,
+      urlFor: (slug) => `/preview/${content.path}${slug ? `/${slug}` : ''}${query}`,
+      preview: { expiresAt: response.data.previewExpiresAt || null }
+    });
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 401) {
+      return res.status(403).render('error', { 
+        error: 'This preview link is invalid or has expired. Ask whoever shared it for a new one.' 
+      });
+    }
+    if (status === 404) {
+      return res.status(404).render('error', { error: 'Page not found' });
+    }
+    res.render('error', { error: apiErrorMessage(error) });
+  }
+});
+
+// View content page, or a page of a guide
+app.get('/:path/:part?', async (req, res) => {
   try {
     const path = req.params.path;
     const response = await axios.get(`http://publishing-api:3000/published-content/${path}`);
     const content = response.data.content;
     
-    // Render different templates based on document_type
-    if (content.document_type === 'simple-page') {
-      res.render('content-simple-page', { content });
-    } else if (content.document_type === 'guide') {
-      res.render('content-guide', { content });
-    } else {
-      res.render('error', { error: 'Unknown content type' });
+    // Redirected and gone content is normally answered by the router, but
+    // handle it here too in case the router's route cache is out of date
+    if (content.state === 'unpublished') {
+      const { type, alternative_path, explanation } = content.unpublishing;
+      if (type === 'redirect') {
+        return res.redirect(301, `/${alternative_path}`);
+      }
+      if (type === 'gone') {
+        return res.status(410).render('error', { 
+          error: explanation || 'The page you\'re looking for is no longer available' 
+        });
+      }
     }
+    
+    // Render the template for the document type, driven by its schema
+    const schema = await getSchema(content.document_type);
+    if (!schema) {
+      return res.render('error', { error: 'Unknown content type' });
+    }
+    
+    const page = contentPage(content, req.params.part);
+    if (!page) {
+      return res.status(404).render('error', { error: 'Page not found' });
+    }
+    
+    res.set('Cache-Control', PAGE_CACHE_CONTROL);
+    res.render(page.view, {
+      content,
+      schema,
+      partIndex: page.partIndex,
+      urlFor: (slug) => `/${content.path}${slug ? `/${slug}` : ''}`,
+      preview: null
+    });
   } catch (error) {
     if (error.response && error.response.status === 404) {
       return res.status(404).render('error', { error: 'Page not found' });
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Append-only log of every change to content: who did what, to which item,
+// and which fields changed
+const EVENT_ACTIONS = [
+  'create', 'update', 'rollback', 'submit', 'approve', 'reject',
+  'schedule', 'unschedule', 'publish', 'unpublish', 'links', 'share_preview'
+];
+
+// One changed field. Nested fields are named the way validation errors name
+// them, e.g. parts[1].body, so each guide part gets its own entries.
+const FieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const EventSchema = new mongoose.Schema({
+  action: { type: String, enum: EVENT_ACTIONS, required: true },
+  actor: String,
+  content_id: { type: String, required: true },
+  path: { type: String, required: true },
+  version: Number,
+  title: String,
+  document_type: String,
+  diff: [FieldChangeSchema],
+  // Anything else worth knowing, e.g. a review comment or schedule time
+  details: mongoose.Schema.Types.Mixed,
+  at: { type: Date, default: Date.now }
+});
+
+EventSchema.index({ content_id: 1, at: -1 });
+EventSchema.index({ path: 1, at: -1 });
+EventSchema.index({ actor: 1, at: -1 });
+EventSchema.index({ action: 1, at: -1 });
+EventSchema.index({ at: -1 });
+
+// Events are never changed or removed once written
+const refuseChange = function (next) {
+  next(new Error('Audit events cannot be changed'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne',
+  'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'].forEach(hook => {
+  EventSchema.pre(hook, refuseChange);
+});
+EventSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+const Event = mongoose.model('Event', EventSchema);
+
+// Flatten a value into { 'parts[0].title': ..., ... } leaves
+function flatten(value, prefix, leaves) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, leaves));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, leaves));
+  } else if (prefix) {
+    leaves[prefix] = value === undefined ? null : value;
+  }
+  return leaves;
+}
+
+// Field-level differences between two versions of some content. Either side
+// may be null, e.g. when content is first created.
+function diffContent(before, after) {
+  const beforeLeaves = flatten(before || {}, '', {});
+  const afterLeaves = flatten(after || {}, '', {});
+  const fields = [...new Set([...Object.keys(beforeLeaves), ...Object.keys(afterLeaves)])];
+
+  return fields
+    .map(field => ({
+      field,
+      before: beforeLeaves[field] === undefined ? null : beforeLeaves[field],
+      after: afterLeaves[field] === undefined ? null : afterLeaves[field]
+    }))
+    .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+}
+
+// Append an event for a change to an edition. The change has already been
+// made by the time this runs, so a failure is logged rather than undoing it.
+async function recordEvent(action, actor, edition, { diff = [], details } = {}) {
+  try {
+    return await Event.create({
+      action,
+      actor: actor || undefined,
+      content_id: edition.content_id,
+      path: edition.path,
+      version: edition.version,
+      title: edition.title,
+      document_type: edition.document_type,
+      diff,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} event for "${edition.path}":`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  EVENT_ACTIONS,
+  Event,
+  diffContent,
+  recordEvent
+};
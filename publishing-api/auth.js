@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Roles, from least to most trusted. Each role can do everything the roles
+// before it can:
+// - writer: create and edit drafts, submit them for review
+// - publisher: review, publish, schedule and unpublish
+// - admin: manage users and API tokens
+const ROLES = ['writer', 'publisher', 'admin'];
+
+// How long a signed-in session lasts
+const SESSION_TTL = 8 * 60 * 60 * 1000;
+
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  name: String,
+  role: { type: String, enum: ROLES, default: 'writer' },
+  passwordHash: { type: String, required: true },
+  disabled: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', UserSchema);
+
+// Sessions for people signed in to the admin. Only a hash of the token is
+// stored, and Mongo's TTL monitor removes expired sessions.
+const SessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+// Long-lived tokens for other services calling the publishing API
+const ApiTokenSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  tokenHash: { type: String, required: true, unique: true },
+  role: { type: String, enum: ROLES, default: 'writer' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date
+});
+
+const ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
+
+// Hash a password with a random salt, as "salt:hash"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+// Check a password against a stored "salt:hash"
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Create a random token with a prefix saying what kind of token it is
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The parts of a user that are safe to send to other services
+function publicUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name || user.username,
+    role: user.role,
+    disabled: user.disabled
+  };
+}
+
+// Check a username and password, returning the user or null
+async function checkCredentials(username, password) {
+  const user = await User.findOne({ username });
+  if (!user || user.disabled || !verifyPassword(password || '', user.passwordHash)) {
+    return null;
+  }
+  return user;
+}
+
+// Start a session for a user, returning the session token
+async function createSession(user) {
+  const token = generateToken('sess');
+  await Session.create({
+    tokenHash: hashToken(token),
+    user_id: user._id,
+    expiresAt: new Date(Date.now() + SESSION_TTL)
+  });
+  return token;
+}
+
+// Work out who a bearer token belongs to. Session tokens identify a person;
+// API tokens identify a service, named "service:<token name>".
+async function resolveToken(token) {
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith('sess_')) {
+    const session = await Session.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+    const user = await User.findById(session.user_id);
+    if (!user || user.disabled) return null;
+    return { ...publicUser(user), kind: 'user' };
+  }
+
+  if (token.startsWith('tok_')) {
+    const apiToken = await ApiToken.findOneAndUpdate({ tokenHash }, { lastUsedAt: Date.now() });
+    if (!apiToken) return null;
+    return { id: apiToken._id, username: `service:${apiToken.name}`, name: apiToken.name, role: apiToken.role, kind: 'token' };
+  }
+
+  return null;
+}
+
+// Middleware that reads the bearer token, if any, and sets req.user. Requests
+// without a token carry on anonymously; a bad token is refused.
+async function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  req.user = null;
+
+  if (!match) {
+    return next();
+  }
+
+  try {
+    req.user = await resolveToken(match[1]);
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired credentials' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Whether a role includes the rights of another
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Middleware that only lets through callers with at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ success: false, error: `This needs ${role} rights` });
+    }
+    next();
+  };
+}
+
+// Where a generated admin password is written when ADMIN_PASSWORD isn't set
+const ADMIN_PASSWORD_FILE = process.env.ADMIN_PASSWORD_FILE || 'admin-password';
+
+// Make sure there is someone who can sign in. The first admin comes from
+// ADMIN_USERNAME and ADMIN_PASSWORD, or gets a random password written to
+// ADMIN_PASSWORD_FILE, readable only by its owner. Passwords never go to the
+// logs. If the file can't be written, no admin is made with a password
+// nobody knows.
+async function ensureAdminUser() {
+  try {
+    const count = await User.countDocuments();
+    if (count > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(9).toString('base64');
+      fs.writeFileSync(ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600 });
+      fs.chmodSync(ADMIN_PASSWORD_FILE, 0o600);
+    }
+    await User.create({ username, name: 'Administrator', role: 'admin', passwordHash: hashPassword(password) });
+
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`Created admin user "${username}"`);
+    } else {
+      console.log(`Created admin user "${username}"; its password is in ${path.resolve(ADMIN_PASSWORD_FILE)}`);
+    }
+  } catch (error) {
+    console.error('Failed to create admin user:', error.message);
+  }
+}
+
+module.exports = {
+  ROLES,
+  User,
+  Session,
+  ApiToken,
+  hashPassword,
+  hashToken,
+  generateToken,
+  publicUser,
+  checkCredentials,
+  createSession,
+  authenticate,
+  hasRole,
+  requireRole,
+  ensureAdminUser
+};
@@ -1,10 +1,26 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
+const { loadSchemas, validateContent, pickSchemaFields } = require('./schema-registry');
+const {
+  ROLES, User, Session, ApiToken, hashPassword, hashToken, generateToken, publicUser,
+  checkCredentials, createSession, authenticate, hasRole, requireRole, ensureAdminUser
+} = require('./auth');
+const { EVENT_ACTIONS, Event, diffContent, recordEvent } = require('./audit');
+const { ROUTE_TYPES, defaultRouting, validateRouting, withRouting } = require('./routing');
+const { previewSecret, validatePreviewHours, createPreviewToken, verifyPreviewToken } = require('./preview');
+const { withSlugs, validateSlugs } = require('./slugs');
+const {
+  WEBHOOK_EVENTS, OUTBOX_INTERVAL, Webhook, OutboxMessage, emitEvent, deliverOutbox, ensureWebhooks
+} = require('./webhooks');
 
 const app = express();
 app.use(bodyParser.json());
 
+// Identify callers from their session or API token. Published content stays
+// open to everyone; drafts and every change need a signed-in user or token.
+app.use(authenticate);
+
 // Connect to MongoDB
 mongoose.connect('mongodb://content-db:27017/content_store', {
   useNewUrlParser: true,
@@ -12,150 +28,1658 @@ mongoose.connect('mongodb://content-db:27017/content_store', {
   useFindAndModify: false
 });
 
-// Define content schema validators
-const contentSchemas = {
-  'simple-page': {
-    required: ['title', 'body'],
-    validate: (content) => {
-      if (!content.title || !content.body) {
-        return 'Title and body are required for simple pages';
+// Document types and their JSON Schemas, loaded from the schemas/ directory
+const contentSchemas = loadSchemas();
+
+// Signs preview tokens for sharing drafts
+const PREVIEW_SECRET = previewSecret();
+
+// How a live edition was taken down: redirected elsewhere, gone (410), or
+// withdrawn (still viewable, with a withdrawal notice)
+const UnpublishingSchema = new mongoose.Schema({
+  type: { type: String, enum: ['redirect', 'gone', 'withdrawn'], required: true },
+  alternative_path: String,
+  explanation: String,
+  unpublishedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Review workflow for draft editions. A draft has to be submitted and then
+// approved by someone other than its last editor before it can be published.
+const WORKFLOW_STATES = ['draft', 'submitted', 'approved'];
+
+const WORKFLOW_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted' },
+  approve: { from: ['submitted'], to: 'approved' },
+  reject: { from: ['submitted', 'approved'], to: 'draft' }
+};
+
+// One step in a draft's review, kept so reviewers can see earlier comments
+const WorkflowEventSchema = new mongoose.Schema({
+  action: { type: String, enum: Object.keys(WORKFLOW_TRANSITIONS), required: true },
+  actor: String,
+  comment: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A path the router sends to a content item's rendering app
+const RouteSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  type: { type: String, enum: ROUTE_TYPES, required: true }
+}, { _id: false });
+
+// Create a content schema. Each document is one edition of a content item:
+// a path has at most one live (published or unpublished) edition and at most
+// one draft, and earlier editions are kept as superseded for the version history.
+// Type-specific fields are defined by the JSON Schemas and validated before
+// saving, so the schema isn't strict about them.
+const ContentSchema = new mongoose.Schema({
+  content_id: { type: String, required: true, index: true },
+  version: { type: Number, required: true },
+  title: String,
+  document_type: { type: String, enum: Object.keys(contentSchemas), required: true },
+  path: { type: String, required: true },
+  // Which router backend renders the content, and the paths it answers
+  rendering_app: String,
+  routes: [RouteSchema],
+  state: { type: String, enum: ['draft', 'published', 'unpublished', 'superseded'], default: 'draft' },
+  unpublishing: UnpublishingSchema,
+  workflow_state: { type: String, enum: WORKFLOW_STATES, default: 'draft' },
+  workflow_history: [WorkflowEventSchema],
+  lastEditedBy: String,
+  // Incremented on every save, so stale edits can be detected
+  lock_version: { type: Number, default: 1 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  publishedAt: Date,
+  scheduledPublishAt: Date,
+  // What changed in this edition, for readers, e.g. in feeds. Left out for
+  // minor changes.
+  change_note: String
+}, { strict: false });
+
+ContentSchema.index({ path: 1, version: 1 }, { unique: true });
+ContentSchema.index({ path: 1 }, { unique: true, partialFilterExpression: { state: 'draft' }, name: 'path_draft' });
+ContentSchema.index({ path: 1 }, { unique: true, partialFilterExpression: { state: 'published' }, name: 'path_published' });
+ContentSchema.index({ path: 1 }, { unique: true, partialFilterExpression: { state: 'unpublished' }, name: 'path_unpublished' });
+ContentSchema.index({ scheduledPublishAt: 1 }, { sparse: true });
+
+const Content = mongoose.model('Content', ContentSchema);
+
+// States of the edition currently answering requests for a path
+const LIVE_STATES = ['published', 'unpublished'];
+
+// Live editions that can still be viewed: published or withdrawn
+const VIEWABLE_QUERY = {
+  $or: [
+    { state: 'published' },
+    { state: 'unpublished', 'unpublishing.type': 'withdrawn' }
+  ]
+};
+
+// Links between content items. A link set belongs to the content item rather
+// than to an edition, so changing links doesn't need a new edition.
+const LINK_TYPES = ['parent', 'related_items', 'organisations', 'taxons'];
+
+// How many parents deep the parent chain is expanded, for breadcrumbs
+const MAX_PARENT_DEPTH = 10;
+
+const LinkSetSchema = new mongoose.Schema({
+  content_id: { type: String, required: true, unique: true },
+  links: {
+    parent: [String],
+    related_items: [String],
+    organisations: [String],
+    taxons: [String]
+  },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+LINK_TYPES.forEach(type => LinkSetSchema.index({ [`links.${type}`]: 1 }));
+
+const LinkSet = mongoose.model('LinkSet', LinkSetSchema);
+
+// Soft locks showing who is editing a content item. They expire by themselves
+// (Mongo's TTL monitor removes them) unless the editor keeps refreshing them.
+const EDIT_LOCK_TTL = 5 * 60 * 1000;
+
+const EditLockSchema = new mongoose.Schema({
+  path: { type: String, required: true, unique: true },
+  user: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+EditLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EditLock = mongoose.model('EditLock', EditLockSchema);
+
+// Fields that belong to the edition itself rather than to the request body
+const EDITION_FIELDS = [
+  '_id', '__v', 'content_id', 'version', 'state', 'unpublishing',
+  'workflow_state', 'workflow_history', 'lastEditedBy', 'lock_version',
+  'createdAt', 'updatedAt', 'publishedAt', 'scheduledPublishAt', 'change_note'
+];
+
+// Token identifying the revision an editor started from: the edition number
+// and how many times that edition has been saved. New content has no token.
+function versionToken(edition) {
+  return edition ? `${edition.version}.${edition.lock_version || 1}` : '';
+}
+
+// Include the version token with an edition sent to editors
+function withVersionToken(edition) {
+  return { ...edition.toObject(), version_token: versionToken(edition) };
+}
+
+// Content with slugs for its parts, such as guide parts, filled in for
+// editions saved before they had them
+function withPartSlugs(content) {
+  const entry = contentSchemas[content.document_type];
+  return entry ? withSlugs(entry.schema, content) : content;
+}
+
+// Compare submitted content with the latest edition, field by field, so a
+// conflicting editor can see what changed underneath them
+function describeChanges(schema, submitted, current) {
+  const comparable = (property, value) => {
+    if (property.type === 'array' && Array.isArray(value)) {
+      const keys = Object.keys((property.items && property.items.properties) || {});
+      return value.map(item => {
+        const picked = {};
+        keys.forEach(key => { picked[key] = item[key] === undefined ? '' : item[key]; });
+        return picked;
+      });
+    }
+    return value === undefined || value === null ? '' : value;
+  };
+  
+  const latest = current.toObject();
+  return Object.entries(schema.properties)
+    .map(([field, property]) => ({
+      field,
+      yours: comparable(property, submitted[field]),
+      theirs: comparable(property, latest[field])
+    }))
+    .filter(({ yours, theirs }) => JSON.stringify(yours) !== JSON.stringify(theirs));
+}
+
+// Who is making a request: the signed-in user's username, or the service
+// name of an API token
+function requestActor(req) {
+  return req.user ? req.user.username : null;
+}
+
+// Copy the content fields of an edition, leaving out the edition bookkeeping
+function editionContent(source) {
+  const data = typeof source.toObject === 'function' ? source.toObject() : { ...source };
+  EDITION_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+// Return the edition an editor is working on: the draft if there is one,
+// otherwise the live edition, otherwise the most recent one
+async function findWorkingEdition(path) {
+  const draft = await Content.findOne({ path, state: 'draft' });
+  if (draft) return draft;
+  const live = await Content.findOne({ path, state: { $in: LIVE_STATES } });
+  if (live) return live;
+  return Content.findOne({ path }).sort('-version');
+}
+
+// Create a new draft edition for a path, carrying over its content_id
+async function createDraftEdition(path, contentData, actor) {
+  const latest = await Content.findOne({ path }).sort('-version');
+  return Content.create({
+    ...contentData,
+    path,
+    lastEditedBy: actor || undefined,
+    content_id: latest ? latest.content_id : new mongoose.Types.ObjectId().toString(),
+    version: latest ? latest.version + 1 : 1,
+    state: 'draft'
+  });
+}
+
+// Summarise an edition for use as an expanded link
+function linkSummary(edition) {
+  return {
+    content_id: edition.content_id,
+    title: edition.title,
+    path: edition.path,
+    document_type: edition.document_type
+  };
+}
+
+// Describe an edition in a webhook event. Subscribers fetch anything else
+// they need, so the payload stays small.
+function eventData(edition) {
+  return {
+    content_id: edition.content_id,
+    path: edition.path,
+    version: edition.version,
+    state: edition.state,
+    document_type: edition.document_type,
+    title: edition.title,
+    unpublishing: edition.unpublishing || undefined
+  };
+}
+
+// Resolve the links of a content item to the published items they point at,
+// keeping the order they were linked in. Parents carry their own expanded
+// parent so callers can walk the chain for breadcrumbs.
+async function expandLinks(contentId, depth = 0, seen = new Set([contentId])) {
+  const linkSet = await LinkSet.findOne({ content_id: contentId });
+  const expanded = {};
+  if (!linkSet) return expanded;
+  
+  for (const type of LINK_TYPES) {
+    const ids = linkSet.links[type] || [];
+    if (ids.length === 0) continue;
+    
+    const targets = await Content.find({ content_id: { $in: ids }, state: 'published' });
+    const byId = {};
+    targets.forEach(target => { byId[target.content_id] = target; });
+    
+    const items = [];
+    for (const id of ids) {
+      if (!byId[id]) continue;
+      const item = linkSummary(byId[id]);
+      
+      if (type === 'parent' && depth < MAX_PARENT_DEPTH && !seen.has(id)) {
+        const parentLinks = await expandLinks(id, depth + 1, new Set([...seen, id]));
+        item.expanded_links = parentLinks.parent ? { parent: parentLinks.parent } : {};
       }
-      return null;
+      items.push(item);
     }
-  },
-  'guide': {
-    required: ['title', 'introduction', 'parts'],
-    validate: (content) => {
-      if (!content.title || !content.introduction) {
-        return 'Title and introduction are required for guides';
+    
+    if (items.length > 0) {
+      expanded[type] = items;
+    }
+  }
+  
+  return expanded;
+}
+
+// Resolve the links of many content items at once, for listings: content_id
+// -> expanded links. Unlike expandLinks, parents don't carry their own parent.
+async function expandLinksOfMany(contentIds) {
+  const linkSets = await LinkSet.find({ content_id: { $in: contentIds } });
+  const targetIds = new Set();
+  linkSets.forEach(linkSet => LINK_TYPES.forEach(type => {
+    (linkSet.links[type] || []).forEach(id => targetIds.add(id));
+  }));
+  
+  const targets = await Content.find({ content_id: { $in: [...targetIds] }, state: 'published' });
+  const byId = {};
+  targets.forEach(target => { byId[target.content_id] = linkSummary(target); });
+  
+  const expandedById = {};
+  linkSets.forEach(linkSet => {
+    const expanded = {};
+    LINK_TYPES.forEach(type => {
+      const items = (linkSet.links[type] || []).filter(id => byId[id]).map(id => byId[id]);
+      if (items.length > 0) {
+        expanded[type] = items;
       }
-      if (!Array.isArray(content.parts) || content.parts.length === 0) {
-        return 'Guides must have at least one part';
+    });
+    expandedById[linkSet.content_id] = expanded;
+  });
+  return expandedById;
+}
+
+// Check a links update, returning a list of field errors
+async function validateLinks(contentId, links) {
+  const errors = [];
+  
+  for (const [type, ids] of Object.entries(links)) {
+    if (!LINK_TYPES.includes(type)) {
+      errors.push({ field: type, message: 'is not a known link type' });
+      continue;
+    }
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      errors.push({ field: type, message: 'must be a list of content IDs' });
+      continue;
+    }
+    if (ids.includes(contentId)) {
+      errors.push({ field: type, message: 'cannot link a content item to itself' });
+    }
+    
+    const existing = await Content.distinct('content_id', { content_id: { $in: ids } });
+    ids.filter(id => !existing.includes(id)).forEach(id => {
+      errors.push({ field: type, message: `links to unknown content ${id}` });
+    });
+  }
+  
+  const parents = links.parent;
+  if (Array.isArray(parents)) {
+    if (parents.length > 1) {
+      errors.push({ field: 'parent', message: 'can only have one item' });
+    }
+    
+    // Walk up from the new parent to make sure it doesn't lead back here
+    let current = parents[0];
+    for (let depth = 0; current && depth < MAX_PARENT_DEPTH; depth++) {
+      if (current === contentId) {
+        errors.push({ field: 'parent', message: 'would create a loop of parents' });
+        break;
       }
-      for (const part of content.parts) {
-        if (!part.title || !part.body) {
-          return 'All guide parts must have a title and body';
+      const parentLinkSet = await LinkSet.findOne({ content_id: current });
+      current = parentLinkSet && parentLinkSet.links.parent[0];
+    }
+  }
+  
+  return errors;
+}
+
+// Bring content stored before editions existed into the edition model
+async function migrateToEditions() {
+  try {
+    const legacy = await Content.collection.find({ content_id: { $exists: false } }).toArray();
+    for (const doc of legacy) {
+      await Content.collection.updateOne(
+        { _id: doc._id },
+        { $set: { content_id: doc._id.toString(), version: 1 } }
+      );
+    }
+    if (legacy.length > 0) {
+      console.log('Migrated', legacy.length, 'content items to editions');
+    }
+    await Content.syncIndexes();
+  } catch (error) {
+    console.error('Failed to migrate content to editions:', error.message);
+  }
+}
+
+// How often the scheduler looks for drafts that are due to be published
+const SCHEDULER_INTERVAL = 30 * 1000;
+
+// Publish a draft edition, superseding the previous live edition. Manual and
+// scheduled publishing both go through here.
+// A path can only have one published edition, so the live edition is
+// superseded first. The content database is a single server, without
+// transactions, so if the draft then can't be published, because it failed
+// or someone else published or changed it first, the live edition is put
+// back rather than leaving the path with nothing to serve.
+async function publishEdition(draft, actor) {
+  const live = await Content.find({ path: draft.path, state: { $in: LIVE_STATES } });
+  const previous = live[0] || null;
+  
+  await Promise.all(live.map(edition => Content.updateOne(
+    { _id: edition._id, state: edition.state },
+    { state: 'superseded' }
+  )));
+  
+  let content;
+  try {
+    content = await Content.findOneAndUpdate(
+      { _id: draft._id, state: 'draft' },
+      { state: 'published', publishedAt: Date.now(), $unset: { scheduledPublishAt: 1 } },
+      { new: true }
+    );
+    if (!content) {
+      throw new Error('The draft was published or removed while it was being published');
+    }
+  } catch (error) {
+    await Promise.all(live.map(edition => Content.updateOne(
+      { _id: edition._id, state: 'superseded' },
+      { state: edition.state }
+    )));
+    throw error;
+  }
+  
+  // The diff is against what was live before, i.e. what this publish changed
+  await recordEvent('publish', actor, content, {
+    diff: diffContent(previous ? editionContent(previous) : null, editionContent(content)),
+    details: previous ? { previous_version: previous.version } : undefined
+  });
+  await emitEvent('published', eventData(content));
+  
+  return content;
+}
+
+// Publish every draft whose scheduled time has passed. Schedules live in the
+// database, so anything that fell due while the service was down is picked
+// up on the first run after boot.
+async function runScheduledPublishing() {
+  try {
+    const due = await Content.find({ 
+      state: 'draft', 
+      workflow_state: 'approved',
+      scheduledPublishAt: { $lte: new Date() } 
+    }).sort('scheduledPublishAt');
+    
+    for (const draft of due) {
+      // Claim the draft so a concurrent run can't publish it twice
+      const claimed = await Content.findOneAndUpdate(
+        { _id: draft._id, state: 'draft', workflow_state: 'approved', scheduledPublishAt: draft.scheduledPublishAt },
+        { $unset: { scheduledPublishAt: 1 } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      
+      try {
+        await publishEdition(claimed, 'scheduler');
+        console.log(`Scheduled publish of "${claimed.path}" (version ${claimed.version}) complete`);
+      } catch (error) {
+        console.error(`Scheduled publish of "${claimed.path}" failed:`, error.message);
+        // publishEdition has put the live edition back, so the page stays up.
+        // Put the schedule back too so the next run retries it, unless the
+        // draft was published after all and only what followed failed.
+        const restored = await Content.updateOne(
+          { _id: claimed._id, state: 'draft' },
+          { scheduledPublishAt: draft.scheduledPublishAt }
+        );
+        if (restored.n === 0) {
+          console.error(`"${claimed.path}" is no longer a draft, so won't be retried`);
         }
       }
-      return null;
     }
+  } catch (error) {
+    console.error('Failed to run scheduled publishing:', error.message);
   }
-};
+}
 
-// Create a content schema
-const ContentSchema = new mongoose.Schema({
-  title: String,
-  body: String,
-  introduction: String,
-  parts: [{ title: String, body: String }],
-  document_type: { type: String, enum: Object.keys(contentSchemas), required: true },
-  path: { type: String, unique: true },
-  state: { type: String, enum: ['draft', 'published'], default: 'draft' },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-  publishedAt: Date
+mongoose.connection.once('open', async () => {
+  await migrateToEditions();
+  await ensureAdminUser();
+  await ensureWebhooks();
+  await runScheduledPublishing();
+  setInterval(runScheduledPublishing, SCHEDULER_INTERVAL);
+  // Deliveries queued while the service was down go out first
+  await deliverOutbox();
+  setInterval(deliverOutbox, OUTBOX_INTERVAL);
 });
 
-const Content = mongoose.model('Content', ContentSchema);
-
-// API to create or update content
-app.post('/content', async (req, res) => {
+// API to create or update content. Changes always go to the draft edition,
+// so the live edition keeps being served until the draft is published.
+// Editing a draft sends it back to the start of the review workflow.
+// If a version_token is sent, the save is refused with 409 when someone else
+// has saved or published the content since that token was issued.
+// rendering_app and routes say how the router serves it; left out, they stay
+// as they were, or start as the document type's defaults. change_note says
+// what changed for readers; left out, the edition has none.
+app.post('/content', requireRole('writer'), async (req, res) => {
   try {
-    const { path, document_type, ...contentData } = req.body;
+    const { path, document_type, version_token, rendering_app, routes, change_note, ...rest } = req.body;
     
     // Validate against schema
-    const schema = contentSchemas[document_type];
-    if (!schema) {
+    const entry = contentSchemas[document_type];
+    if (!entry) {
       return res.status(400).json({ 
         success: false, 
         error: `Unknown document type: ${document_type}` 
       });
     }
     
-    const validationError = schema.validate(contentData);
-    if (validationError) {
-      return res.status(400).json({ success: false, error: validationError });
+    const contentData = withSlugs(entry.schema, pickSchemaFields(entry.schema, editionContent(rest)));
+    const errors = [
+      ...validateContent(entry, contentData),
+      ...validateSlugs(entry.schema, contentData),
+      ...validateRouting(path, { rendering_app, routes })
+    ];
+    if (change_note !== undefined && typeof change_note !== 'string') {
+      errors.push({ field: 'change_note', message: 'must be text' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
     }
     
-    const content = await Content.findOneAndUpdate(
-      { path }, 
-      { ...contentData, document_type, updatedAt: Date.now() }, 
-      { upsert: true, new: true }
-    );
+    // Refuse stale edits, describing what changed since the editor started
+    const checkVersion = version_token !== undefined;
+    const previous = await findWorkingEdition(path);
+    const current = checkVersion ? previous : null;
+    const conflict = () => res.status(409).json({
+      success: false,
+      error: current 
+        ? `This content was changed by ${current.lastEditedBy || 'someone else'} since you started editing`
+        : 'This content was changed by someone else since you started editing',
+      conflict: current ? {
+        version_token: versionToken(current),
+        lastEditedBy: current.lastEditedBy || null,
+        updatedAt: current.updatedAt,
+        changes: describeChanges(entry.schema, contentData, current),
+        content: current
+      } : null
+    });
     
-    res.json({ success: true, content });
+    if (checkVersion && current && versionToken(current) !== version_token) {
+      return conflict();
+    }
+    
+    // How the router serves it
+    const defaults = defaultRouting(entry, path);
+    const routing = {
+      rendering_app: rendering_app || previous?.rendering_app || defaults.rendering_app,
+      routes: routes || (previous?.routes?.length ? previous.routes : defaults.routes)
+    };
+    
+    // Fields the type declares but the request left out are cleared
+    const cleared = {};
+    Object.keys(entry.schema.properties).forEach(field => {
+      if (contentData[field] === undefined) cleared[field] = 1;
+    });
+    
+    // An approval or schedule no longer applies once the draft changes
+    cleared.scheduledPublishAt = 1;
+    
+    const changeNote = (change_note || '').trim();
+    if (!changeNote) cleared.change_note = 1;
+    
+    const actor = requestActor(req);
+    const update = { 
+      ...contentData, 
+      ...routing,
+      ...(changeNote ? { change_note: changeNote } : {}),
+      document_type, 
+      workflow_state: 'draft', 
+      lastEditedBy: actor,
+      updatedAt: Date.now(), 
+      $inc: { lock_version: 1 },
+      $unset: cleared 
+    };
+    
+    // When checking versions, only update the draft the editor started from.
+    // Drafts from before lock versions existed have none stored.
+    const draftQuery = { path, state: 'draft' };
+    if (current && current.state === 'draft') {
+      const lockVersion = current.lock_version || 1;
+      draftQuery.lock_version = lockVersion === 1 ? { $in: [1, null] } : lockVersion;
+    }
+    
+    let content = await Content.findOneAndUpdate(draftQuery, update, { new: true });
+    
+    if (!content) {
+      if (current && current.state === 'draft') {
+        return conflict();
+      }
+      try {
+        content = await createDraftEdition(path, { 
+          ...contentData, 
+          ...routing, 
+          ...(changeNote ? { change_note: changeNote } : {}), 
+          document_type 
+        }, actor);
+      } catch (error) {
+        // Someone else created the draft first
+        if (checkVersion && error.code === 11000) {
+          return conflict();
+        }
+        throw error;
+      }
+    }
+    
+    await recordEvent(previous ? 'update' : 'create', actor, content, {
+      diff: diffContent(previous ? pickSchemaFields(entry.schema, editionContent(previous)) : null, contentData)
+    });
+    await emitEvent('updated', eventData(content));
+    
+    res.json({ success: true, content: withVersionToken(content) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // API to get content
-app.get('/content/:path', async (req, res) => {
+app.get('/content/:path', requireRole('writer'), async (req, res) => {
   try {
     const path = req.params.path;
-    const content = await Content.findOne({ path });
+    const content = await findWorkingEdition(path);
     
     if (!content) {
       return res.status(404).json({ success: false, error: 'Content not found' });
     }
     
-    res.json({ success: true, content });
+    res.json({ success: true, content: withPartSlugs(withVersionToken(content)) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// API to list all content
-app.get('/content', async (req, res) => {
+// API to make a preview token for content, so someone without an admin
+// account can see its draft. It lasts expires_in_hours, a day by default.
+app.post('/content/:path/preview-tokens', requireRole('writer'), async (req, res) => {
   try {
-    const contents = await Content.find({}).sort('-updatedAt');
-    res.json({ success: true, contents });
+    const hours = req.body.expires_in_hours;
+    const errors = validatePreviewHours(hours);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    const content = await findWorkingEdition(req.params.path);
+    if (!content) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    const { token, expiresAt } = createPreviewToken(content.content_id, hours && Number(hours), PREVIEW_SECRET);
+    await recordEvent('share_preview', requestActor(req), content, { details: { expiresAt } });
+    res.json({ success: true, token, expiresAt });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Separate API to get published content
-app.get('/published-content/:path', async (req, res) => {
+// API to list document types and their schemas
+app.get('/schemas', (req, res) => {
+  const schemas = Object.entries(contentSchemas).map(([document_type, entry]) => ({
+    document_type,
+    schema: entry.schema
+  }));
+  res.json({ success: true, schemas });
+});
+
+// API to get the schema for one document type
+app.get('/schemas/:type', (req, res) => {
+  const entry = contentSchemas[req.params.type];
+  
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Document type not found' });
+  }
+  
+  res.json({ success: true, document_type: req.params.type, schema: entry.schema });
+});
+
+// API to take or refresh the soft edit lock on a content item. If someone
+// else holds it, nothing changes and they are reported with a 409.
+app.put('/content/:path/lock', requireRole('writer'), async (req, res) => {
+  try {
+    const path = req.params.path;
+    const actor = requestActor(req);
+    const now = new Date();
+    try {
+      const lock = await EditLock.findOneAndUpdate(
+        { path, $or: [{ user: actor }, { expiresAt: { $lte: now } }] },
+        { user: actor, expiresAt: new Date(now.getTime() + EDIT_LOCK_TTL) },
+        { upsert: true, new: true }
+      );
+      res.json({ success: true, lock });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const lock = await EditLock.findOne({ path });
+      res.status(409).json({ success: false, error: `${lock.user} is currently editing this content`, lock });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to release the edit lock, if the caller holds it
+app.delete('/content/:path/lock', requireRole('writer'), async (req, res) => {
+  try {
+    await EditLock.deleteOne({ path: req.params.path, user: requestActor(req) });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list all editions of a content item, newest first
+app.get('/content/:path/editions', requireRole('writer'), async (req, res) => {
   try {
     const path = req.params.path;
-    const content = await Content.findOne({ path, state: 'published' });
+    const editions = await Content.find({ path }).sort('-version');
     
-    if (!content) {
+    if (editions.length === 0) {
       return res.status(404).json({ success: false, error: 'Content not found' });
     }
     
+    res.json({ success: true, editions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to get a specific edition of a content item
+app.get('/content/:path/editions/:version', requireRole('writer'), async (req, res) => {
+  try {
+    const { path } = req.params;
+    const version = parseInt(req.params.version);
+    const content = Number.isNaN(version) ? null : await Content.findOne({ path, version });
+    
+    if (!content) {
+      return res.status(404).json({ success: false, error: 'Edition not found' });
+    }
+    
     res.json({ success: true, content });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// API to list all published content
-app.get('/published-content', async (req, res) => {
+// API to roll back to an earlier edition. The old content is copied into a
+// new draft so it goes through the normal publish step. It is checked like
+// a save, since the schema or the reserved paths may have changed since the
+// edition was written.
+app.post('/content/:path/rollback', requireRole('writer'), async (req, res) => {
+  try {
+    const { path } = req.params;
+    const version = parseInt(req.body.version);
+    const edition = Number.isNaN(version) ? null : await Content.findOne({ path, version });
+    
+    if (!edition) {
+      return res.status(404).json({ success: false, error: 'Edition not found' });
+    }
+    
+    const entry = contentSchemas[edition.document_type];
+    if (!entry) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown document type: ${edition.document_type}` 
+      });
+    }
+    
+    const restored = editionContent(edition);
+    const contentData = pickSchemaFields(entry.schema, restored);
+    const errors = [
+      ...validateContent(entry, contentData),
+      ...validateSlugs(entry.schema, contentData),
+      ...validateRouting(path, { rendering_app: restored.rendering_app, routes: restored.routes })
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Version ${version} can't be restored: ${errors.map(({ field, message }) => `${field} ${message}`).join(', ')}`, 
+        errors 
+      });
+    }
+    
+    const draft = await Content.findOne({ path, state: 'draft' });
+    if (draft) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `A draft (version ${draft.version}) already exists for this content` 
+      });
+    }
+    
+    const working = await findWorkingEdition(path);
+    const content = await createDraftEdition(path, restored, requestActor(req));
+    await recordEvent('rollback', requestActor(req), content, {
+      diff: diffContent(editionContent(working), editionContent(content)),
+      details: { restored_version: version }
+    });
+    await emitEvent('updated', eventData(content));
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Most events returned in one page
+const MAX_EVENTS_PAGE_SIZE = 200;
+
+// Build an event query from request filters, returning { query } or { error }
+function eventQuery(filters) {
+  const query = {};
+  
+  ['path', 'actor', 'content_id'].forEach(field => {
+    if (filters[field]) query[field] = filters[field];
+  });
+  
+  if (filters.action) {
+    const actions = String(filters.action).split(',');
+    const unknown = actions.filter(action => !EVENT_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      return { error: `Unknown action: ${unknown.join(', ')}` };
+    }
+    query.action = { $in: actions };
+  }
+  
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!filters[param]) continue;
+    const date = new Date(filters[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be a valid date` };
+    }
+    query.at = { ...query.at, [operator]: date };
+  }
+  
+  return { query };
+}
+
+// Find a page of events, newest first
+async function findEvents(query, params) {
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(params.pageSize) || 50, 1), MAX_EVENTS_PAGE_SIZE);
+  
+  const [events, total] = await Promise.all([
+    Event.find(query).sort('-at').skip((page - 1) * pageSize).limit(pageSize),
+    Event.countDocuments(query)
+  ]);
+  
+  return { events, total, page, pageSize, totalPages: Math.ceil(total / pageSize) };
+}
+
+// API to search the audit log, filtered by path, actor, action (comma
+// separated) and a from/to date range
+app.get('/events', requireRole('writer'), async (req, res) => {
+  try {
+    const { query, error } = eventQuery(req.query);
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    res.json({ success: true, ...(await findEvents(query, req.query)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to get the history of one content item. Events are matched on the
+// content_id, so the history is kept if the item's path ever changes.
+app.get('/content/:path/history', requireRole('writer'), async (req, res) => {
+  try {
+    const edition = await findWorkingEdition(req.params.path);
+    
+    if (!edition) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    const { query, error } = eventQuery({ ...req.query, path: undefined, content_id: edition.content_id });
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    res.json({ success: true, content: edition, ...(await findEvents(query, req.query)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list all content, one entry per path showing its working edition
+app.get('/content', requireRole('writer'), async (req, res) => {
   try {
-    const contents = await Content.find({ state: 'published' }).sort('-publishedAt');
+    const editions = await Content.find({ state: { $ne: 'superseded' } }).sort('-version');
+    const byPath = {};
+    
+    editions.forEach(edition => {
+      const current = byPath[edition.path];
+      if (!current) {
+        byPath[edition.path] = { edition, liveVersion: null };
+      } else if (edition.state === 'draft') {
+        current.edition = edition;
+      }
+      if (LIVE_STATES.includes(edition.state)) {
+        byPath[edition.path].liveVersion = edition.version;
+      }
+    });
+    
+    const locks = await EditLock.find({ expiresAt: { $gt: new Date() } });
+    const lockByPath = {};
+    locks.forEach(lock => { 
+      lockByPath[lock.path] = { user: lock.user, expiresAt: lock.expiresAt }; 
+    });
+    
+    const contents = Object.values(byPath)
+      .map(({ edition, liveVersion }) => ({ 
+        ...edition.toObject(), 
+        live_version: liveVersion,
+        edit_lock: lockByPath[edition.path] || null
+      }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    
     res.json({ success: true, contents });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// API to publish content
-app.post('/content/:id/publish', async (req, res) => {
+// Separate API to get published content. Unpublished editions are returned
+// too, with their unpublishing details, so callers can redirect or show 410.
+app.get('/published-content/:path', async (req, res) => {
   try {
-    const id = req.params.id;
-    const content = await Content.findByIdAndUpdate(
-      id,
-      { state: 'published', publishedAt: Date.now() },
-      { new: true }
-    );
+    const path = req.params.path;
+    const content = await Content.findOne({ path, state: { $in: LIVE_STATES } });
     
     if (!content) {
       return res.status(404).json({ success: false, error: 'Content not found' });
     }
     
-    res.json({ success: true, content });
+    const expanded_links = await expandLinks(content.content_id);
+    res.json({ success: true, content: { ...withPartSlugs(withRouting(content, contentSchemas)), expanded_links } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to get content as a preview shows it: the draft if there is one,
+// otherwise the live edition. Open to writers, and to anyone with a preview
+// token for the item in X-Preview-Token; to them anything else is not found.
+app.get('/draft-content/:path', async (req, res) => {
+  try {
+    const previewToken = req.get('X-Preview-Token');
+    const isWriter = hasRole(req.user, 'writer');
+    const preview = !isWriter && previewToken ? verifyPreviewToken(previewToken, PREVIEW_SECRET) : null;
+    if (!isWriter && !preview) {
+      return res.status(401).json({ 
+        success: false, 
+        error: previewToken ? 'Invalid or expired preview token' : 'Authentication required' 
+      });
+    }
+    
+    const content = await findWorkingEdition(req.params.path);
+    if (!content || (preview && content.content_id !== preview.content_id)) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    const expanded_links = await expandLinks(content.content_id);
+    res.json({ 
+      success: true, 
+      content: { ...withPartSlugs(withRouting(content, contentSchemas)), expanded_links },
+      ...(preview ? { previewExpiresAt: preview.expiresAt } : {})
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list all published content, including withdrawn content, with links
+app.get('/published-content', async (req, res) => {
+  try {
+    const contents = await Content.find(VIEWABLE_QUERY).sort('-publishedAt');
+    const expandedById = await expandLinksOfMany(contents.map(content => content.content_id));
+    res.json({ 
+      success: true, 
+      contents: contents.map(content => ({ 
+        ...withPartSlugs(withRouting(content, contentSchemas)), 
+        expanded_links: expandedById[content.content_id] || {} 
+      })) 
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list content that has been redirected or is gone
+app.get('/unpublished-content', async (req, res) => {
+  try {
+    const contents = await Content.find({ 
+      state: 'unpublished', 
+      'unpublishing.type': { $in: ['redirect', 'gone'] } 
+    }).sort('-unpublishing.unpublishedAt');
+    res.json({ success: true, contents: contents.map(content => withRouting(content, contentSchemas)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to publish a draft edition. The previous live edition is superseded.
+app.post('/content/:id/publish', requireRole('publisher'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const draft = await Content.findById(id);
+    
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    if (draft.state !== 'draft') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Only draft editions can be published (this edition is ${draft.state})` 
+      });
+    }
+    
+    if (draft.workflow_state !== 'approved') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Drafts must be approved before publishing (this draft is ${draft.workflow_state})` 
+      });
+    }
+    
+    const content = await publishEdition(draft, requestActor(req));
+    
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to move a draft through the review workflow: submit, approve or reject.
+// Comments are optional except when rejecting, where the reason is required.
+app.post('/content/:id/:action(submit|approve|reject)', requireRole('writer'), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const transition = WORKFLOW_TRANSITIONS[action];
+    const actor = requestActor(req);
+    const comment = (req.body.comment || '').trim();
+    
+    // Reviewing is for publishers; anyone who can edit can submit
+    if (action !== 'submit' && !hasRole(req.user, 'publisher')) {
+      return res.status(403).json({ success: false, error: `Only publishers can ${action} drafts` });
+    }
+    
+    if (action === 'reject' && !comment) {
+      return res.status(400).json({ success: false, error: 'A reason is required when rejecting a draft' });
+    }
+    
+    const draft = await Content.findById(id);
+    
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    if (draft.state !== 'draft' || !transition.from.includes(draft.workflow_state)) {
+      const current = draft.state === 'draft' ? draft.workflow_state : draft.state;
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot ${action} content that is ${current}` 
+      });
+    }
+    
+    if (action === 'approve') {
+      if (actor === draft.lastEditedBy) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'A draft must be approved by someone other than its last editor' 
+        });
+      }
+    }
+    
+    // Only apply the transition if nobody changed the draft in the meantime.
+    // Drafts from before the workflow existed have no workflow_state stored.
+    const currentState = draft.workflow_state === 'draft' ? { $in: ['draft', null] } : draft.workflow_state;
+    const update = { 
+      workflow_state: transition.to, 
+      $push: { workflow_history: { action, actor, comment: comment || undefined } } 
+    };
+    if (action === 'reject') {
+      update.$unset = { scheduledPublishAt: 1 };
+    }
+    
+    const content = await Content.findOneAndUpdate(
+      { _id: id, state: 'draft', workflow_state: currentState, updatedAt: draft.updatedAt },
+      update,
+      { new: true }
+    );
+    
+    if (!content) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'The draft changed while this was being done, please try again' 
+      });
+    }
+    
+    await recordEvent(action, actor, content, {
+      diff: diffContent({ workflow_state: draft.workflow_state || 'draft' }, { workflow_state: transition.to }),
+      details: comment ? { comment } : undefined
+    });
+    
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to schedule a draft edition to be published at a future time
+app.post('/content/:id/schedule', requireRole('publisher'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const publishAt = new Date(req.body.publishAt);
+    
+    if (Number.isNaN(publishAt.getTime())) {
+      return res.status(400).json({ success: false, error: 'A valid publishAt time is required' });
+    }
+    
+    if (publishAt <= new Date()) {
+      return res.status(400).json({ success: false, error: 'Scheduled publish time must be in the future' });
+    }
+    
+    const draft = await Content.findById(id);
+    
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    if (draft.state !== 'draft') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Only draft editions can be scheduled (this edition is ${draft.state})` 
+      });
+    }
+    
+    if (draft.workflow_state !== 'approved') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Drafts must be approved before scheduling (this draft is ${draft.workflow_state})` 
+      });
+    }
+    
+    const content = await Content.findByIdAndUpdate(
+      id,
+      { scheduledPublishAt: publishAt },
+      { new: true }
+    );
+    
+    await recordEvent('schedule', requestActor(req), content, {
+      diff: diffContent({ scheduledPublishAt: draft.scheduledPublishAt }, { scheduledPublishAt: publishAt })
+    });
+    
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to cancel a scheduled publish
+app.delete('/content/:id/schedule', requireRole('publisher'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const draft = await Content.findOneAndUpdate(
+      { _id: id, state: 'draft' },
+      { $unset: { scheduledPublishAt: 1 } }
+    );
+    
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    
+    const content = await Content.findById(id);
+    if (draft.scheduledPublishAt) {
+      await recordEvent('unschedule', requestActor(req), content, {
+        diff: diffContent({ scheduledPublishAt: draft.scheduledPublishAt }, { scheduledPublishAt: null })
+      });
+    }
+    
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Check an unpublish request, returning an error message or null
+function validateUnpublishing(unpublishing, path) {
+  const { type, alternative_path, explanation } = unpublishing;
+  
+  if (!['redirect', 'gone', 'withdrawn'].includes(type)) {
+    return `Unknown unpublishing type: ${type}`;
+  }
+  if (type === 'redirect') {
+    if (!alternative_path) {
+      return 'An alternative path is required for redirects';
+    }
+    if (alternative_path === path) {
+      return 'Content cannot redirect to itself';
+    }
+  }
+  if (type === 'withdrawn' && !explanation) {
+    return 'An explanation is required when withdrawing content';
+  }
+  return null;
+}
+
+// API to unpublish the live edition of a content item. The id may be of any
+// edition of the item; the unpublishing always applies to the live one.
+app.post('/content/:id/unpublish', requireRole('publisher'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const edition = await Content.findById(id);
+    
+    if (!edition) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    const live = await Content.findOne({ path: edition.path, state: { $in: LIVE_STATES } });
+    if (!live) {
+      return res.status(409).json({ success: false, error: 'Content has not been published' });
+    }
+    
+    const unpublishing = {
+      type: req.body.type,
+      alternative_path: (req.body.alternative_path || '').replace(/^\/+/, '') || undefined,
+      explanation: req.body.explanation || undefined
+    };
+    
+    const validationError = validateUnpublishing(unpublishing, live.path);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    
+    const content = await Content.findByIdAndUpdate(
+      live._id,
+      { state: 'unpublished', unpublishing: { ...unpublishing, unpublishedAt: Date.now() } },
+      { new: true }
+    );
+    
+    await recordEvent('unpublish', requestActor(req), content, {
+      diff: diffContent(
+        { state: live.state, unpublishing: live.unpublishing ? live.unpublishing.toObject() : null },
+        { state: content.state, unpublishing }
+      )
+    });
+    await emitEvent('unpublished', eventData(content));
+    
+    res.json({ success: true, content });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to sign in, returning a session token for the frontend to keep
+app.post('/sessions', async (req, res) => {
+  try {
+    const user = await checkCredentials(req.body.username, req.body.password);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Incorrect username or password' });
+    }
+    
+    const token = await createSession(user);
+    res.json({ success: true, token, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to check a session and find out who it belongs to
+app.get('/sessions/current', requireRole('writer'), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// API to sign out
+app.delete('/sessions/current', requireRole('writer'), async (req, res) => {
+  try {
+    const token = req.get('Authorization').replace(/^Bearer\s+/i, '');
+    await Session.deleteOne({ tokenHash: hashToken(token) });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Check a user create or update request, returning a list of field errors
+function validateUser(data, isNew) {
+  const errors = [];
+  if (isNew && !/^[a-z0-9._-]{2,40}$/i.test(data.username || '')) {
+    errors.push({ field: 'username', message: 'must be 2 to 40 letters, numbers, dots, dashes or underscores' });
+  }
+  if (data.role !== undefined && !ROLES.includes(data.role)) {
+    errors.push({ field: 'role', message: `must be one of ${ROLES.join(', ')}` });
+  }
+  if ((isNew || data.password !== undefined) && (data.password || '').length < 10) {
+    errors.push({ field: 'password', message: 'must be at least 10 characters' });
+  }
+  return errors;
+}
+
+// API to list users
+app.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({}).sort('username');
+    res.json({ success: true, users: users.map(publicUser) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to create a user
+app.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, name, role, password } = req.body;
+    const errors = validateUser({ username, role, password }, true);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    if (await User.exists({ username })) {
+      return res.status(409).json({ success: false, error: `User ${username} already exists` });
+    }
+    
+    const user = await User.create({ username, name, role, passwordHash: hashPassword(password) });
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to update a user's name, role or password, or disable them
+app.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, password, disabled } = req.body;
+    const errors = validateUser({ role, password }, false);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    // Admins can't lock themselves out
+    if (String(req.params.id) === String(req.user.id) && (disabled || (role && role !== 'admin'))) {
+      return res.status(409).json({ success: false, error: 'You cannot remove your own admin rights' });
+    }
+    
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (role !== undefined) update.role = role;
+    if (disabled !== undefined) update.disabled = Boolean(disabled);
+    if (password !== undefined) update.passwordHash = hashPassword(password);
+    
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+    
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    // Sign the user out everywhere when their access is taken away
+    if (update.disabled || update.passwordHash) {
+      await Session.deleteMany({ user_id: user._id });
+    }
+    
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list service API tokens (never the tokens themselves)
+app.get('/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({}, '-tokenHash').sort('name');
+    res.json({ success: true, tokens });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to create a service API token. The token is only returned this once.
+app.post('/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    
+    if (!name || !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `A name and a role (${ROLES.join(', ')}) are required` });
+    }
+    
+    if (await ApiToken.exists({ name })) {
+      return res.status(409).json({ success: false, error: `A token called ${name} already exists` });
+    }
+    
+    const token = generateToken('tok');
+    const apiToken = await ApiToken.create({ name, role, tokenHash: hashToken(token) });
+    res.json({ success: true, token, id: apiToken._id, name, role });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to revoke a service API token
+app.delete('/tokens/:id', requireRole('admin'), async (req, res) => {
+  try {
+    await ApiToken.deleteOne({ _id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Check a webhook create or update request, returning a list of field errors
+function validateWebhook(data, isNew) {
+  const errors = [];
+  if (isNew && !data.name) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+  if ((isNew || data.url !== undefined) && !/^https?:\/\/\S+$/.test(data.url || '')) {
+    errors.push({ field: 'url', message: 'must be an http or https URL' });
+  }
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.length === 0) {
+      errors.push({ field: 'events', message: `must list at least one of ${WEBHOOK_EVENTS.join(', ')}` });
+    } else {
+      data.events.filter(event => !WEBHOOK_EVENTS.includes(event)).forEach(event => {
+        errors.push({ field: 'events', message: `has an unknown event ${event}` });
+      });
+    }
+  }
+  return errors;
+}
+
+// A webhook as shown to admins: the secret is never sent back
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook.toObject();
+  return { ...rest, signed: Boolean(secret) };
+}
+
+// API to list webhooks, with how many deliveries are waiting or have failed
+app.get('/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({}).sort('name');
+    const counts = await OutboxMessage.aggregate([
+      { $match: { status: { $in: ['pending', 'failed'] } } },
+      { $group: { _id: { webhook_id: '$webhook_id', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      success: true,
+      webhooks: webhooks.map(webhook => {
+        const countFor = status => {
+          const match = counts.find(({ _id }) => String(_id.webhook_id) === String(webhook._id) && _id.status === status);
+          return match ? match.count : 0;
+        };
+        return { ...publicWebhook(webhook), pending: countFor('pending'), failed: countFor('failed') };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to register a webhook. Events default to all of them.
+app.post('/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, url, secret } = req.body;
+    const events = req.body.events === undefined ? WEBHOOK_EVENTS : req.body.events;
+    const errors = validateWebhook({ name, url, events }, true);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    if (await Webhook.exists({ name })) {
+      return res.status(409).json({ success: false, error: `A webhook called ${name} already exists` });
+    }
+    
+    const webhook = await Webhook.create({ name, url, events, secret: secret || undefined });
+    res.json({ success: true, webhook: publicWebhook(webhook) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to change a webhook's URL, events or secret, or pause it
+app.patch('/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { url, events, secret, active } = req.body;
+    const errors = validateWebhook({ url, events }, false);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    const update = {};
+    if (url !== undefined) update.url = url;
+    if (events !== undefined) update.events = events;
+    if (secret !== undefined) update.secret = secret || null;
+    if (active !== undefined) update.active = Boolean(active);
+    
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, update, { new: true });
+    
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    
+    res.json({ success: true, webhook: publicWebhook(webhook) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to remove a webhook. Deliveries still waiting for it are dropped.
+app.delete('/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    await Webhook.deleteOne({ _id: req.params.id });
+    await OutboxMessage.deleteMany({ webhook_id: req.params.id, status: { $ne: 'delivered' } });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to list recent deliveries to a webhook, optionally by status
+app.get('/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const query = { webhook_id: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    
+    const deliveries = await OutboxMessage.find(query).sort('-createdAt').limit(100);
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to try a failed delivery again
+app.post('/webhooks/:id/deliveries/:deliveryId/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await OutboxMessage.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhook_id: req.params.id, status: 'failed' },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      { new: true }
+    );
+    
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Failed delivery not found' });
+    }
+    
+    setImmediate(deliverOutbox);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to get the links of a content item
+app.get('/links/:id', requireRole('writer'), async (req, res) => {
+  try {
+    const contentId = req.params.id;
+    const linkSet = await LinkSet.findOne({ content_id: contentId });
+    const links = {};
+    LINK_TYPES.forEach(type => {
+      links[type] = linkSet ? linkSet.links[type] : [];
+    });
+    
+    res.json({ success: true, content_id: contentId, links });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to update the links of a content item. Only the link types given are
+// replaced; pass an empty list to remove all links of a type.
+app.patch('/links/:id', requireRole('writer'), async (req, res) => {
+  try {
+    const contentId = req.params.id;
+    const links = req.body.links;
+    
+    if (!links || typeof links !== 'object' || Array.isArray(links)) {
+      return res.status(400).json({ success: false, error: 'A links object is required' });
+    }
+    
+    const edition = await Content.findOne({ content_id: contentId }).sort('-version');
+    if (!edition) {
+      return res.status(404).json({ success: false, error: 'Content not found' });
+    }
+    
+    const errors = await validateLinks(contentId, links);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    const update = { updatedAt: Date.now() };
+    Object.entries(links).forEach(([type, ids]) => {
+      update[`links.${type}`] = [...new Set(ids)];
+    });
+    
+    const previous = await LinkSet.findOne({ content_id: contentId });
+    const linkSet = await LinkSet.findOneAndUpdate(
+      { content_id: contentId },
+      update,
+      { upsert: true, new: true }
+    );
+    
+    const linksOf = set => {
+      const picked = {};
+      LINK_TYPES.forEach(type => { picked[type] = set ? [...(set.links[type] || [])] : []; });
+      return picked;
+    };
+    const diff = diffContent({ links: linksOf(previous) }, { links: linksOf(linkSet) });
+    if (diff.length > 0) {
+      await recordEvent('links', requestActor(req), edition, { diff });
+      await emitEvent('links_changed', { ...eventData(edition), links: linkSet.links });
+    }
+    
+    res.json({ success: true, content_id: contentId, links: linkSet.links });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to find what links to a content item, grouped by link type
+app.get('/links/:id/incoming', requireRole('writer'), async (req, res) => {
+  try {
+    const contentId = req.params.id;
+    const incoming = {};
+    
+    for (const type of LINK_TYPES) {
+      const linkSets = await LinkSet.find({ [`links.${type}`]: contentId });
+      if (linkSets.length === 0) continue;
+      
+      const sources = await Content.find({ 
+        content_id: { $in: linkSets.map(linkSet => linkSet.content_id) }, 
+        state: { $ne: 'superseded' } 
+      }).sort('-version');
+      
+      // One entry per item, preferring its live edition
+      const byId = {};
+      sources.forEach(source => {
+        const current = byId[source.content_id];
+        if (!current || (current.state === 'draft' && LIVE_STATES.includes(source.state))) {
+          byId[source.content_id] = source;
+        }
+      });
+      
+      incoming[type] = Object.values(byId).map(source => ({ 
+        ...linkSummary(source), 
+        state: source.state 
+      }));
+    }
+    
+    res.json({ success: true, content_id: contentId, incoming });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
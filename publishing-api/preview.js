@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Preview tokens let someone without an admin account see a draft, e.g. a
+// policy colleague checking a page before it goes live. A token is for one
+// content item, by content_id, so it keeps working if the item's path
+// changes, and it expires. Tokens aren't stored: each is its content_id and
+// expiry, signed with PREVIEW_SECRET, as "<payload>.<signature>" in base64url.
+// Changing the secret cancels every token.
+
+// How long a preview link lasts unless asked otherwise, and at most, in hours
+const DEFAULT_PREVIEW_HOURS = 24;
+const MAX_PREVIEW_HOURS = 7 * 24;
+
+// Without a PREVIEW_SECRET, a random one is made at startup, so preview
+// links stop working when the service restarts
+function previewSecret() {
+  if (process.env.PREVIEW_SECRET) return process.env.PREVIEW_SECRET;
+  console.warn('PREVIEW_SECRET is not set; preview links will stop working when the publishing API restarts');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Check the hours a preview link should last, returning a list of field
+// errors
+function validatePreviewHours(hours) {
+  if (hours === undefined) return [];
+  const value = Number(hours);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PREVIEW_HOURS) {
+    return [{ field: 'expires_in_hours', message: `must be a whole number from 1 to ${MAX_PREVIEW_HOURS}` }];
+  }
+  return [];
+}
+
+// Make a token for previewing a content item, returning { token, expiresAt }
+function createPreviewToken(contentId, hours, secret, now = Date.now()) {
+  const expiresAt = new Date(now + (hours || DEFAULT_PREVIEW_HOURS) * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({ content_id: contentId, exp: expiresAt.getTime() })).toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+// Read a preview token, returning { content_id, expiresAt }, or null if it
+// is malformed, wrongly signed or has expired
+function verifyPreviewToken(token, secret, now = Date.now()) {
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = sign(payload, secret);
+  if (signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!data.content_id || !Number.isFinite(data.exp) || data.exp <= now) return null;
+  return { content_id: data.content_id, expiresAt: new Date(data.exp) };
+}
+
+module.exports = {
+  DEFAULT_PREVIEW_HOURS,
+  MAX_PREVIEW_HOURS,
+  previewSecret,
+  validatePreviewHours,
+  createPreviewToken,
+  verifyPreviewToken
+};
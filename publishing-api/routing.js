@@ -0,0 +1,94 @@
+const { reservedPathReason } = require('mini-govuk-shared/reserved-paths');
+
+// How the router serves content. Each content item has:
+// - rendering_app: the name of the router backend that renders it, such as
+//   frontend
+// - routes: the paths it answers, each { path, type }. An exact route matches
+//   only its path; a prefix route matches its path and everything under it,
+//   so a guide's prefix route sends /guide-name/part-2 to the guide.
+// Routes are the item's own path or paths under it. Document types choose
+// the defaults with x-rendering-app and x-route-type at the top level of
+// their schema.
+const ROUTE_TYPES = ['exact', 'prefix'];
+
+const DEFAULT_RENDERING_APP = 'frontend';
+
+// Backend names, as the router's registry knows them
+const RENDERING_APP_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// The rendering app and routes a document type gives content at a path
+function defaultRouting(entry, path) {
+  const schema = (entry && entry.schema) || {};
+  return {
+    rendering_app: schema['x-rendering-app'] || DEFAULT_RENDERING_APP,
+    routes: [{ path, type: schema['x-route-type'] || 'exact' }]
+  };
+}
+
+// Check a rendering app and routes sent for content at a path, returning a
+// list of field errors. Either can be left out to use the defaults. Neither
+// the path nor its routes can be one the site answers itself, such as
+// /search.
+function validateRouting(path, { rendering_app, routes }) {
+  const errors = [];
+  const pathReason = typeof path === 'string' ? reservedPathReason(path) : null;
+  if (pathReason) {
+    errors.push({ field: 'path', message: pathReason });
+  }
+  if (rendering_app !== undefined && !RENDERING_APP_PATTERN.test(rendering_app)) {
+    errors.push({ field: 'rendering_app', message: 'must be a backend name such as frontend' });
+  }
+  if (routes === undefined) return errors;
+
+  if (!Array.isArray(routes) || routes.length === 0) {
+    errors.push({ field: 'routes', message: 'must list at least one route' });
+    return errors;
+  }
+  const seen = new Set();
+  routes.forEach((route, index) => {
+    const field = `routes[${index}]`;
+    if (!route || typeof route.path !== 'string') {
+      errors.push({ field: `${field}.path`, message: 'is required' });
+      return;
+    }
+    if (!ROUTE_TYPES.includes(route.type)) {
+      errors.push({ field: `${field}.type`, message: `must be one of ${ROUTE_TYPES.join(', ')}` });
+    }
+    if (route.path !== path && !route.path.startsWith(`${path}/`)) {
+      errors.push({ field: `${field}.path`, message: `must be ${path} or a path under it` });
+    }
+    const routeReason = route.path !== path && reservedPathReason(route.path);
+    if (routeReason) {
+      errors.push({ field: `${field}.path`, message: routeReason });
+    }
+    if (seen.has(route.path)) {
+      errors.push({ field: `${field}.path`, message: 'is routed twice' });
+    }
+    seen.add(route.path);
+  });
+  if (!routes.some(route => route && route.path === path)) {
+    errors.push({ field: 'routes', message: `must include a route for ${path}` });
+  }
+  return errors;
+}
+
+// Content with its routing filled in from its document type's defaults, for
+// editions saved before routing was recorded
+function withRouting(content, contentSchemas) {
+  const data = typeof content.toObject === 'function' ? content.toObject() : { ...content };
+  const defaults = defaultRouting(contentSchemas[data.document_type], data.path);
+  return {
+    ...data,
+    rendering_app: data.rendering_app || defaults.rendering_app,
+    routes: data.routes && data.routes.length > 0
+      ? data.routes.map(({ path, type }) => ({ path, type }))
+      : defaults.routes
+  };
+}
+
+module.exports = {
+  ROUTE_TYPES,
+  defaultRouting,
+  validateRouting,
+  withRouting
+};
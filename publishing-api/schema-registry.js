@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+// Document types are defined declaratively as JSON Schema files in schemas/,
+// one file per type, named after the document_type (e.g. guide.json).
+// Properties may carry these extra keywords, used by the frontend and search:
+// - x-widget: 'textarea' for multi-line fields (default is a single line)
+// - x-format: 'govspeak' for text written in Govspeak, Markdown with GOV.UK's
+//   extensions, which is rendered as HTML and indexed as plain text (default
+//   plain text)
+// - x-display: how the field is rendered ('lead', 'body', 'heading', 'note',
+//   'sections' for arrays of parts, 'start-button' for a service link)
+// - x-searchable: false to leave a field out of the search index
+// - x-slug-from: on a property of array items, makes it the item's URL slug,
+//   made from the named property when left blank (see slugs.js)
+// At the top level, schemas may also set how the router serves the type
+// (see routing.js):
+// - x-rendering-app: the backend that renders it (default frontend)
+// - x-route-type: 'prefix' to send everything under its path to it, as for
+//   guide parts (default 'exact')
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+// Unknown keywords are the rendering hints above, so don't reject them
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Load and compile every schema in the schemas directory
+function loadSchemas(dir = SCHEMAS_DIR) {
+  const registry = {};
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const documentType = path.basename(file, '.json');
+      const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      registry[documentType] = { schema, validate: ajv.compile(schema) };
+    });
+
+  console.log('Loaded document types:', Object.keys(registry).join(', '));
+  return registry;
+}
+
+// Turn an Ajv error into { field, message }, with fields written the way
+// the frontend names them (e.g. parts[0].title)
+function formatError(error) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  const field = segments.reduce((name, segment) => {
+    if (/^\d+$/.test(segment)) return `${name}[${segment}]`;
+    return name ? `${name}.${segment}` : segment;
+  }, '');
+
+  let message = error.message;
+  if (error.keyword === 'required' || (error.keyword === 'minLength' && error.params.limit === 1)) {
+    message = 'is required';
+  } else if (error.keyword === 'minItems') {
+    message = `must have at least ${error.params.limit} item${error.params.limit === 1 ? '' : 's'}`;
+  } else if (error.keyword === 'pattern') {
+    message = 'is not in the right format';
+  }
+
+  return { field, message };
+}
+
+// Validate content against a document type, returning a list of field errors
+function validateContent(entry, content) {
+  if (entry.validate(content)) {
+    return [];
+  }
+  return entry.validate.errors.map(formatError);
+}
+
+// Keep only the top-level fields a document type declares
+function pickSchemaFields(schema, content) {
+  const picked = {};
+  Object.keys(schema.properties || {}).forEach(field => {
+    if (content[field] !== undefined) {
+      picked[field] = content[field];
+    }
+  });
+  return picked;
+}
+
+module.exports = {
+  loadSchemas,
+  validateContent,
+  pickSchemaFields
+};
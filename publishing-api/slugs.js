@@ -0,0 +1,88 @@
+const { RESERVED_SUBPATHS } = require('mini-govuk-shared/reserved-paths');
+
+// Parts of a content item that have their own page, such as guide parts,
+// are found by a slug: the last segment of their URL, as in
+// /guide-path/part-slug. In schemas, a property of array items with
+// x-slug-from is a slug, made from the item property it names when it is
+// left blank. Slugs aren't remade when that property changes, so links to a
+// part keep working when it is retitled.
+
+// Paths under a content item that the frontend uses itself, such as a
+// guide's printable version
+const RESERVED_SLUGS = RESERVED_SUBPATHS;
+
+// Longest slug made from text
+const MAX_SLUG_LENGTH = 60;
+
+// Make a slug from text, e.g. "What you'll need" becomes "what-youll-need"
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+// The array fields of a schema whose items have slugs, as
+// [{ field, key, from, itemTitle }]
+function slugFields(schema) {
+  return Object.entries((schema && schema.properties) || {})
+    .filter(([, property]) => property.type === 'array' && property.items && property.items.properties)
+    .flatMap(([field, property]) => Object.entries(property.items.properties)
+      .filter(([, itemProperty]) => itemProperty['x-slug-from'])
+      .map(([key, itemProperty]) => ({
+        field,
+        key,
+        from: itemProperty['x-slug-from'],
+        itemTitle: (property.items.title || 'item').toLowerCase()
+      })));
+}
+
+// Content with slugs made for items that have none. Made slugs don't repeat
+// another item's, gaining -2, -3 and so on if they would.
+function withSlugs(schema, content) {
+  const filled = { ...content };
+  slugFields(schema).forEach(({ field, key, from, itemTitle }) => {
+    if (!Array.isArray(content[field])) return;
+    const used = new Set([...RESERVED_SLUGS, ...content[field].map(item => item && item[key]).filter(Boolean)]);
+    filled[field] = content[field].map(item => {
+      if (!item || typeof item !== 'object' || item[key]) return item;
+      const base = slugify(item[from]) || slugify(itemTitle);
+      let slug = base;
+      for (let number = 2; used.has(slug); number++) slug = `${base}-${number}`;
+      used.add(slug);
+      return { ...item, [key]: slug };
+    });
+  });
+  return filled;
+}
+
+// Check that each item's slug is unique among its array's and not one the
+// frontend uses, returning a list of field errors. Their format is checked
+// by the schema.
+function validateSlugs(schema, content) {
+  const errors = [];
+  slugFields(schema).forEach(({ field, key, itemTitle }) => {
+    const seen = new Set();
+    (Array.isArray(content[field]) ? content[field] : []).forEach((item, index) => {
+      const slug = item && item[key];
+      if (!slug) return;
+      if (RESERVED_SLUGS.includes(slug)) {
+        errors.push({ field: `${field}[${index}].${key}`, message: `can't be ${slug}` });
+      } else if (seen.has(slug)) {
+        errors.push({ field: `${field}[${index}].${key}`, message: `is already used by another ${itemTitle}` });
+      }
+      seen.add(slug);
+    });
+  });
+  return errors;
+}
+
+module.exports = {
+  withSlugs,
+  validateSlugs
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+// Events other services can subscribe to. Deliveries can be retried and so
+// arrive out of order, so subscribers should treat an event as "this item
+// changed" and fetch its current state rather than trusting the payload alone.
+// - published: a draft went live
+// - unpublished: live content was redirected, removed or withdrawn
+// - updated: a draft was created or changed
+// - links_changed: a content item's links changed
+const WEBHOOK_EVENTS = ['published', 'unpublished', 'updated', 'links_changed'];
+
+// How often the outbox is checked for deliveries that are due, on top of the
+// immediate attempt made when an event is emitted
+const OUTBOX_INTERVAL = 10 * 1000;
+
+// Failed deliveries are retried with a doubling delay, then given up on
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_DELAY = 5 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// How long a subscriber gets to answer, and how long a claimed delivery is
+// left alone before another run may pick it up again
+const DELIVERY_TIMEOUT = 10 * 1000;
+const CLAIM_TTL = 60 * 1000;
+
+// Delivered messages are kept for a week, for troubleshooting
+const DELIVERED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const WebhookSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  // Used to sign deliveries so the subscriber can check where they came from
+  secret: String,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+// One delivery of an event to one webhook. Messages are written when the
+// event happens and removed from the queue only once the subscriber accepts
+// them, so nothing is lost if a subscriber or this service is down.
+const OutboxMessageSchema = new mongoose.Schema({
+  webhook_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, enum: WEBHOOK_EVENTS, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  claimedUntil: Date,
+  lastError: String,
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: Date
+});
+
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxMessageSchema.index({ webhook_id: 1, createdAt: -1 });
+OutboxMessageSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: DELIVERED_TTL_SECONDS });
+
+const OutboxMessage = mongoose.model('OutboxMessage', OutboxMessageSchema);
+
+// Signature header value for a delivery body
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Queue an event for every active webhook subscribed to it. Like the audit
+// log, this runs after the change is made, so failures are only logged.
+async function emitEvent(event, data) {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event });
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: new mongoose.Types.ObjectId().toString(),
+      event,
+      occurredAt: new Date(),
+      data
+    };
+    await OutboxMessage.insertMany(webhooks.map(webhook => ({ webhook_id: webhook._id, event, payload })));
+
+    // Deliver straight away rather than waiting for the next run
+    setImmediate(deliverOutbox);
+  } catch (error) {
+    console.error(`Failed to queue ${event} event:`, error.message);
+  }
+}
+
+// Send one message to its webhook, recording the outcome
+async function deliverMessage(message) {
+  const webhook = await Webhook.findById(message.webhook_id);
+
+  if (!webhook || !webhook.active) {
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: 'failed', lastError: 'Webhook was removed or disabled', $unset: { claimedUntil: 1 } }
+    );
+    return false;
+  }
+
+  const body = JSON.stringify(message.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Publishing-Event': message.event,
+    'X-Publishing-Delivery': message._id.toString()
+  };
+  if (webhook.secret) {
+    headers['X-Publishing-Signature'] = signPayload(webhook.secret, body);
+  }
+
+  const attempts = message.attempts + 1;
+  try {
+    await axios.post(webhook.url, body, { headers, timeout: DELIVERY_TIMEOUT });
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: 'delivered', attempts, deliveredAt: new Date(), $unset: { claimedUntil: 1, lastError: 1 } }
+    );
+    return true;
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      {
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        lastError: reason,
+        nextAttemptAt: new Date(Date.now() + delay),
+        $unset: { claimedUntil: 1 }
+      }
+    );
+    console.error(`Delivery of ${message.event} to ${webhook.name} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}):`, reason);
+    return false;
+  }
+}
+
+let delivering = false;
+
+// Deliver every message that is due, oldest first. Once a webhook fails, its
+// other messages wait for the next run rather than timing out one by one.
+async function deliverOutbox() {
+  if (delivering) return;
+  delivering = true;
+
+  const failedWebhooks = [];
+  try {
+    for (;;) {
+      const now = new Date();
+      // Claim the message so another instance can't deliver it at the same time
+      const message = await OutboxMessage.findOneAndUpdate(
+        {
+          status: 'pending',
+          nextAttemptAt: { $lte: now },
+          claimedUntil: { $not: { $gt: now } },
+          webhook_id: { $nin: failedWebhooks }
+        },
+        { claimedUntil: new Date(now.getTime() + CLAIM_TTL) },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!message) break;
+
+      if (!(await deliverMessage(message))) {
+        failedWebhooks.push(message.webhook_id);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to deliver outbox:', error.message);
+  } finally {
+    delivering = false;
+  }
+}
+
+// Register the webhooks given in WEBHOOKS, as comma-separated name=url pairs,
+// subscribed to every event and signed with WEBHOOK_SECRET. This is how the
+// router and search API are subscribed when the stack starts.
+async function ensureWebhooks() {
+  const entries = (process.env.WEBHOOKS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, Math.max(separator, 0)).trim();
+    const url = entry.slice(separator + 1).trim();
+    if (separator === -1 || !name || !url) {
+      console.error(`Ignoring webhook "${entry}": expected name=url`);
+      continue;
+    }
+    try {
+      await Webhook.updateOne(
+        { name },
+        { url, events: WEBHOOK_EVENTS, secret: process.env.WEBHOOK_SECRET || null, active: true },
+        { upsert: true }
+      );
+      console.log(`Webhook "${name}" subscribed at ${url}`);
+    } catch (error) {
+      console.error(`Failed to register webhook "${name}":`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  OUTBOX_INTERVAL,
+  Webhook,
+  OutboxMessage,
+  emitEvent,
+  deliverOutbox,
+  ensureWebhooks
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+
+// Shared cache of backend responses, for requests from people who aren't
+// signed in. Backends opt in with Cache-Control: a response is kept for its
+// s-maxage, or failing that its max-age, unless it is marked no-store,
+// private or no-cache, sets a cookie or varies by request header. Expired
+// responses are kept a while longer so they can stand in when the backend
+// fails: for the response's stale-if-error, or a day by default.
+
+// Statuses that can be cached
+const CACHEABLE_STATUSES = [200, 301, 404, 410];
+
+// Responses larger than this aren't cached
+const MAX_ENTRY_BYTES = 1024 * 1024;
+
+// How long, in seconds, an expired response can stand in for a failing
+// backend if it doesn't say
+const DEFAULT_STALE_IF_ERROR = 24 * 60 * 60;
+
+// Route paths have no leading or trailing slash, as in guide/part
+const trimSlashes = (path) => path.replace(/^\/+|\/+$/g, '');
+
+// The path a request is cached under, from its path as sent: decoded once,
+// the way routes are matched, and without slashes at either end. So
+// /caf%C3%A9 and /café/ are one page, cached and purged together.
+function cachePath(requestPath) {
+  let decoded = requestPath;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch (error) {
+    // Malformed escapes are cached as sent
+  }
+  return trimSlashes(decoded);
+}
+
+// The key a request's response is cached under: its cache path and query
+// string. Every query string is its own entry, and all of a path's entries
+// are purged with it.
+function cacheKey(requestPath, originalUrl) {
+  const queryStart = originalUrl.indexOf('?');
+  return `/${cachePath(requestPath)}${queryStart === -1 ? '' : originalUrl.slice(queryStart)}`;
+}
+
+// Cache-Control directives, by lowercase name. Directives without a value
+// are true.
+function parseCacheControl(value) {
+  const directives = {};
+  String(value || '').split(',').forEach(part => {
+    const [name, ...rest] = part.split('=');
+    if (!name.trim()) return;
+    directives[name.trim().toLowerCase()] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+  });
+  return directives;
+}
+
+// How long a response can be cached and then stand in for a failing backend,
+// in seconds, or null if it can't be cached
+function cacheLifetime(status, headers) {
+  if (!CACHEABLE_STATUSES.includes(status) || headers['set-cookie'] || headers.vary) return null;
+  const directives = parseCacheControl(headers['cache-control']);
+  if (directives['no-store'] || directives.private || directives['no-cache']) return null;
+
+  const ttl = Number(directives['s-maxage'] !== undefined ? directives['s-maxage'] : directives['max-age']);
+  if (!Number.isInteger(ttl) || ttl <= 0) return null;
+  const staleIfError = Number(directives['stale-if-error']);
+  return {
+    ttl,
+    staleIfError: Number.isInteger(staleIfError) && staleIfError >= 0 ? staleIfError : DEFAULT_STALE_IF_ERROR
+  };
+}
+
+// Whether an If-None-Match header matches an ETag. Weak and strong tags
+// match alike, as they do for If-None-Match.
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+// Build a cache holding up to maxBytes of response bodies. The least
+// recently used responses are dropped to make room.
+function createResponseCache({ maxBytes }) {
+  // By request path and query string, least recently used first
+  const entries = new Map();
+  let bytes = 0;
+  const counts = { hits: 0, misses: 0, stale: 0, bypasses: 0, stored: 0, purged: 0, evicted: 0 };
+
+  const remove = (key) => {
+    bytes -= entries.get(key).size;
+    entries.delete(key);
+  };
+
+  // The response cached for a key, if it can still be used, and whether it
+  // is fresh or only fit to stand in for a failing backend
+  function lookup(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (now >= entry.staleUntil) {
+      remove(key);
+      return null;
+    }
+    // Move it to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return { entry, fresh: now < entry.expiresAt };
+  }
+
+  // Whether a backend response could be cached, from its status and headers,
+  // so bodies that won't be kept aren't collected
+  function canStore(status, headers) {
+    const length = Number(headers['content-length']);
+    return Boolean(cacheLifetime(status, headers)) && !(length > Math.min(MAX_ENTRY_BYTES, maxBytes));
+  }
+
+  // Cache a backend response for a key, if it says it can be. path is the
+  // request's cache path, for purging. Returns whether it was cached.
+  function store(key, path, { status, headers, body }, now = Date.now()) {
+    const lifetime = cacheLifetime(status, headers);
+    if (!lifetime || body.length > Math.min(MAX_ENTRY_BYTES, maxBytes)) return false;
+
+    const etag = headers.etag || `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const entry = {
+      path,
+      status,
+      headers: { ...headers, etag },
+      body,
+      etag,
+      size: body.length,
+      storedAt: now,
+      expiresAt: now + lifetime.ttl * 1000,
+      staleUntil: now + (lifetime.ttl + lifetime.staleIfError) * 1000
+    };
+    if (entries.has(key)) remove(key);
+    entries.set(key, entry);
+    bytes += entry.size;
+    counts.stored++;
+
+    for (const oldest of entries.keys()) {
+      if (bytes <= maxBytes) break;
+      remove(oldest);
+      counts.evicted++;
+    }
+    return true;
+  }
+
+  // Drop the cached responses for a route path, with any query string, or
+  // with prefix set for the path and everything under it. Returns how many
+  // were dropped.
+  function purge(routePath, prefix = false) {
+    const path = trimSlashes(routePath);
+    let purged = 0;
+    [...entries].forEach(([key, entry]) => {
+      const matches = entry.path === path || (prefix && (path === '' || entry.path.startsWith(`${path}/`)));
+      if (matches) {
+        remove(key);
+        purged++;
+      }
+    });
+    counts.purged += purged;
+    return purged;
+  }
+
+  // Count a request's outcome: 'hits', 'misses', 'stale' or 'bypasses'
+  function count(outcome) {
+    counts[outcome]++;
+  }
+
+  // How full the cache is and how requests have fared since it started
+  function stats() {
+    const lookups = counts.hits + counts.misses + counts.stale;
+    return {
+      entries: entries.size,
+      bytes,
+      maxBytes,
+      ...counts,
+      hitRate: lookups > 0 ? counts.hits / lookups : 0
+    };
+  }
+
+  return { lookup, canStore, store, purge, count, stats };
+}
+
+module.exports = {
+  MAX_ENTRY_BYTES,
+  cachePath,
+  cacheKey,
+  etagMatches,
+  createResponseCache
+};
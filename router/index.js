@@ -1,190 +1,580 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const bodyParser = require('body-parser');
+const { endToEndHeaders, proxyRequest } = require('./proxy');
+const { MAX_ENTRY_BYTES, cachePath, cacheKey, etagMatches, createResponseCache } = require('./cache');
+const { FRONTEND_ROUTES, feedPath, reservedPathReason } = require('mini-govuk-shared/reserved-paths');
 
 const app = express();
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Only the router's own endpoints read request bodies; proxied requests are
+// streamed to their backend unread
+const readEventBody = bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } });
 
-// Simple in-memory route cache
-const routeCache = {};
+// Backend applications that render content, by the rendering_app name
+// content gives, from ROUTER_BACKENDS as name=url pairs separated by commas,
+// e.g. "frontend=http://frontend:3001,start-pages=http://start-pages:3005".
+// Each is checked every 30 seconds by requesting its /health. There is
+// always a frontend backend, which also serves the admin.
+const DEFAULT_BACKENDS = 'frontend=http://frontend:3001';
+const BACKEND_CHECK_INTERVAL = 30 * 1000;
+const BACKEND_CHECK_TIMEOUT = 5000;
+
+// How long a proxied request can wait on a backend without hearing from it
+// before it gets a 504, in milliseconds. ROUTER_BACKEND_TIMEOUTS sets it per
+// backend as name=milliseconds pairs, e.g. "start-pages=30000".
+const DEFAULT_BACKEND_TIMEOUT = 10000;
+
+// Backend for paths no route matches, so its 404 page is shown
+const DEFAULT_BACKEND = 'frontend';
+
+// Size of the response cache for people who aren't signed in, in megabytes,
+// from ROUTER_CACHE_MAX_MB; 0 turns it off
+const CACHE_MAX_MB = process.env.ROUTER_CACHE_MAX_MB !== undefined ? Number(process.env.ROUTER_CACHE_MAX_MB) : 64;
+const responseCache = CACHE_MAX_MB > 0 ? createResponseCache({ maxBytes: CACHE_MAX_MB * 1024 * 1024 }) : null;
+
+// Request headers that would let the backend answer a cache miss with a
+// 304, leaving nothing to cache; the cache answers them itself
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Read backends from name=url pairs, skipping any that aren't valid
+function parseBackends(value) {
+  const registry = {};
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const url = entry.slice(separator + 1).trim().replace(/\/+$/, '');
+    if (separator < 1 || !/^https?:\/\//.test(url)) {
+      console.error(`Ignoring backend "${entry}": expected name=http://host:port`);
+      return;
+    }
+    registry[name] = { name, url, timeout: DEFAULT_BACKEND_TIMEOUT, healthy: null, checkedAt: null, error: null };
+  });
+  return registry;
+}
+
+// Set backends' timeouts from name=milliseconds pairs, skipping any that
+// aren't valid
+function applyBackendTimeouts(registry, value) {
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, milliseconds] = entry.split('=').map(part => part.trim());
+    const timeout = Number(milliseconds);
+    if (!registry[name] || !Number.isInteger(timeout) || timeout < 1) {
+      console.error(`Ignoring backend timeout "${entry}": expected name=milliseconds for a known backend`);
+      return;
+    }
+    registry[name].timeout = timeout;
+  });
+}
+
+const backends = {
+  ...parseBackends(DEFAULT_BACKENDS),
+  ...parseBackends(process.env.ROUTER_BACKENDS || '')
+};
+applyBackendTimeouts(backends, process.env.ROUTER_BACKEND_TIMEOUTS || '');
+
+// Proxy a request to a backend, with proxyRequest's options. A backend that
+// can't be reached is marked unhealthy until its next health check.
+function proxyToBackend(req, res, backend, { onError = () => {}, ...options } = {}) {
+  console.log(`Proxying ${req.method} ${req.originalUrl} to ${backend.name}`);
+  proxyRequest(req, res, backend, req.originalUrl, {
+    ...options,
+    onError: error => {
+      if (error.code !== 'ETIMEDOUT') {
+        if (backend.healthy !== false) {
+          console.log(`Backend ${backend.name} is unhealthy: ${error.message}`);
+        }
+        backend.healthy = false;
+        backend.error = error.message;
+      }
+      onError(error);
+    }
+  });
+}
+
+// Whether a request can use the cache: a GET or HEAD from someone who
+// isn't signed in, so its response is the same for everyone, on a route
+// that allows it
+function isCacheable(req, route) {
+  return Boolean(responseCache) && route.cache !== false && ['GET', 'HEAD'].includes(req.method) &&
+    !req.headers.authorization && !sessionToken(req);
+}
+
+// Answer a request from a cached response. X-Cache says whether it was a
+// fresh hit or a stale response standing in for a failing backend.
+function sendCached(req, res, entry, outcome) {
+  Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('Age', Math.floor((Date.now() - entry.storedAt) / 1000));
+  res.setHeader('X-Cache', outcome);
+  if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+    return res.status(304).end();
+  }
+  res.status(entry.status);
+  return req.method === 'HEAD' ? res.end() : res.end(entry.body);
+}
+
+// Proxy a request through the response cache: fresh cached responses are
+// sent straight back, and anything else goes to the backend, with the
+// response cached if it says it can be. A stale response stands in if the
+// backend fails.
+function proxyCached(req, res, backend) {
+  const key = cacheKey(req.path, req.originalUrl);
+  const cached = responseCache.lookup(key);
+  if (cached && cached.fresh) {
+    responseCache.count('hits');
+    return sendCached(req, res, cached.entry, 'HIT');
+  }
+  
+  const serveStale = () => {
+    responseCache.count('stale');
+    console.log(`Serving stale ${key} as ${backend.name} failed`);
+    sendCached(req, res, cached.entry, 'STALE');
+  };
+  
+  // Only a GET's response has a body to cache; a HEAD just passes through
+  const isGet = req.method === 'GET';
+  res.setHeader('X-Cache', 'MISS');
+  proxyToBackend(req, res, backend, {
+    omitHeaders: isGet ? CONDITIONAL_HEADERS : [],
+    onResponse: upstreamResponse => {
+      if (upstreamResponse.statusCode >= 500 && cached) {
+        serveStale();
+        return true;
+      }
+      responseCache.count('misses');
+      if (!isGet || !responseCache.canStore(upstreamResponse.statusCode, upstreamResponse.headers)) return false;
+      
+      // Collect the body as it streams past, giving up if it gets too big
+      let chunks = [];
+      let size = 0;
+      upstreamResponse.on('data', chunk => {
+        size += chunk.length;
+        if (chunks && size <= MAX_ENTRY_BYTES) {
+          chunks.push(chunk);
+        } else {
+          chunks = null;
+        }
+      });
+      upstreamResponse.on('end', () => {
+        if (!chunks) return;
+        responseCache.store(key, cachePath(req.path), {
+          status: upstreamResponse.statusCode,
+          headers: endToEndHeaders(upstreamResponse.headers),
+          body: Buffer.concat(chunks)
+        });
+      });
+      return false;
+    },
+    onError: () => {
+      if (cached) serveStale();
+    }
+  });
+}
+
+// Drop the cached pages for routes, and for the routes that list content,
+// such as the homepage, sitemaps and feeds
+function purgeRoutes(routes) {
+  if (!responseCache) return;
+  const listings = [...routeTable.exact.values(), ...routeTable.prefix.values()].filter(route => route.listing);
+  const paths = new Map([...listings, ...routes].map(route => [`${route.type} ${route.path}`, route]));
+  const purged = [...paths.values()]
+    .reduce((total, route) => total + responseCache.purge(route.path, route.type === 'prefix'), 0);
+  console.log(`Purged ${purged} cached responses for ${[...paths.values()].map(route => `/${route.path}`).join(', ')}`);
+}
+
+// Check whether each backend answers its health check. Anything but a 5xx
+// counts as healthy; changes are logged.
+async function checkBackends() {
+  await Promise.all(Object.values(backends).map(async backend => {
+    let healthy;
+    try {
+      const response = await axios.get(`${backend.url}/health`, {
+        timeout: BACKEND_CHECK_TIMEOUT,
+        validateStatus: () => true
+      });
+      healthy = response.status < 500;
+      backend.error = healthy ? null : `Health check answered ${response.status}`;
+    } catch (error) {
+      healthy = false;
+      backend.error = error.message;
+    }
+    if (healthy !== backend.healthy) {
+      console.log(`Backend ${backend.name} is ${healthy ? 'healthy' : `unhealthy: ${backend.error}`}`);
+    }
+    backend.healthy = healthy;
+    backend.checkedAt = new Date();
+  }));
+}
+
+// Route table. Exact routes match one path; prefix routes match a path and
+// everything under it. A request takes the exact route for its path if
+// there is one, otherwise the longest matching prefix route. Each route has
+// a handler:
+// - 'backend': proxied to the backend named by `backend`
+// - 'redirect': answered with a 301 to `destination`
+// - 'gone': answered with a 410
+const routeTable = {
+  exact: new Map(),
+  prefix: new Map()
+};
+
+// Routes that aren't content: the homepage, search pages, draft previews,
+// robots.txt, sitemaps and feeds, shared with the Publishing API, which
+// keeps content off them. Routes with cache: false never use the response
+// cache; those with listing: true list content, so are purged from it
+// whenever content changes.
+const BUILT_IN_ROUTES = FRONTEND_ROUTES.map(route => ({ ...route, handler: 'backend', backend: 'frontend' }));
+
+// Routes for the frontend's feed of each document type, e.g. guides.atom
+function feedRoutes(schemas) {
+  return schemas.map(({ document_type }) => ({
+    path: feedPath(document_type),
+    type: 'exact',
+    handler: 'backend',
+    backend: 'frontend',
+    listing: true
+  }));
+}
+
+// Add a route to the table, or replace the one it has for the same path
+function addRoute(route) {
+  routeTable[route.type].set(route.path, route);
+}
+
+// Remove the routes of a content item, by its content_id or, failing that,
+// its path, returning the routes removed
+function removeContentRoutes({ contentId, contentPath }) {
+  const removed = [];
+  Object.values(routeTable).forEach(table => {
+    table.forEach((route, path) => {
+      if ((contentId && route.contentId === contentId) || (!contentId && route.contentPath === contentPath)) {
+        removed.push(route);
+        table.delete(path);
+      }
+    });
+  });
+  return removed;
+}
+
+// The route for a request path, or null if none matches
+function findRoute(path) {
+  if (routeTable.exact.has(path)) return routeTable.exact.get(path);
+  
+  // Try the path, then each of its parents, longest first
+  const segments = path.split('/');
+  for (let length = segments.length; length > 0; length--) {
+    const route = routeTable.prefix.get(segments.slice(0, length).join('/'));
+    if (route) return route;
+  }
+  return null;
+}
+
+// Escape text for inclusion in the router's own HTML responses
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Admin sessions recently confirmed with the publishing API, by token, so
+// every admin request doesn't need a round trip
+const SESSION_CACHE_TTL = 30 * 1000;
+const sessionCache = {};
+
+// The admin session token from the request's cookie, if any
+function sessionToken(req) {
+  const match = (req.headers.cookie || '').match(/(?:^|;\s*)session=([^;]*)/);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+// Check an admin session token with the publishing API
+async function isValidSession(token) {
+  if (!token) return false;
+
+  const cached = sessionCache[token];
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_TTL) {
+    return cached.valid;
+  }
+
+  // Forget old checks so the cache doesn't grow without limit
+  Object.keys(sessionCache).forEach(key => {
+    if (Date.now() - sessionCache[key].checkedAt >= SESSION_CACHE_TTL) delete sessionCache[key];
+  });
+
+  try {
+    await axios.get('http://publishing-api:3000/sessions/current', {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    sessionCache[token] = { valid: true, checkedAt: Date.now() };
+    return true;
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      sessionCache[token] = { valid: false, checkedAt: Date.now() };
+      return false;
+    }
+    // Don't cache failures to reach the publishing API
+    console.error('Failed to check admin session:', error.message);
+    return false;
+  }
+}
+
+// The routes for a live edition: one for each path it asks for, all
+// handled the same way
+function contentRoutes(content) {
+  let handler = { handler: 'backend', backend: content.rendering_app || DEFAULT_BACKEND };
+  if (content.state === 'unpublished' && content.unpublishing.type === 'redirect') {
+    handler = { handler: 'redirect', destination: `/${content.unpublishing.alternative_path}` };
+  } else if (content.state === 'unpublished' && content.unpublishing.type === 'gone') {
+    handler = { handler: 'gone', explanation: content.unpublishing.explanation };
+  }
+  
+  const routes = content.routes && content.routes.length > 0 ? content.routes : [{ path: content.path, type: 'exact' }];
+  // Content saved before its path was reserved can't take over a built-in route
+  const allowed = routes.filter(({ path }) => {
+    const reason = reservedPathReason(path);
+    if (reason) console.error(`Ignoring route /${path} for "${content.path}": it ${reason}`);
+    return !reason;
+  });
+  return allowed.map(({ path, type }) => ({
+    path,
+    type,
+    ...handler,
+    contentId: content.content_id,
+    contentPath: content.path,
+    documentType: content.document_type
+  }));
+}
+
+// Refresh the routes for one path from the Publishing API, e.g. when told
+// it was published or unpublished. Cached pages for its old and new routes
+// are purged.
+async function refreshRoute(path, contentId) {
+  try {
+    const response = await axios.get(`http://publishing-api:3000/published-content/${encodeURIComponent(path)}`);
+    const content = response.data.content;
+    const routes = contentRoutes(content);
+    const removed = removeContentRoutes({ contentId: content.content_id, contentPath: path });
+    routes.forEach(addRoute);
+    console.log(`Routes for "${path}" are now ${routes.map(route => `${route.type} /${route.path} (${route.handler})`).join(', ')}`);
+    purgeRoutes([...removed, ...routes]);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      const removed = removeContentRoutes({ contentId, contentPath: path });
+      console.log(`Routes for "${path}" removed`);
+      purgeRoutes(removed.length > 0 ? removed : [{ path, type: 'exact' }]);
+      return;
+    }
+    throw error;
+  }
+}
+
+// Unsigned webhook deliveries are refused unless the operator opts in with
+// ALLOW_UNSIGNED_EVENTS=true, e.g. for local development without a
+// WEBHOOK_SECRET. Otherwise anyone could send publishing events.
+const ALLOW_UNSIGNED_EVENTS = process.env.ALLOW_UNSIGNED_EVENTS === 'true';
+
+if (!process.env.WEBHOOK_SECRET) {
+  console.warn(ALLOW_UNSIGNED_EVENTS
+    ? 'WEBHOOK_SECRET is not set; accepting unsigned events because ALLOW_UNSIGNED_EVENTS is true'
+    : 'WEBHOOK_SECRET is not set; events from the Publishing API will be refused until it is');
+}
+
+// Check the signature on a webhook delivery from the Publishing API. Without
+// a WEBHOOK_SECRET configured, deliveries aren't signed, and are only
+// accepted with ALLOW_UNSIGNED_EVENTS.
+function hasValidSignature(req) {
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) return ALLOW_UNSIGNED_EVENTS;
+  
+  const signature = req.get('X-Publishing-Signature') || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+  return signature.length === expected.length && 
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
 
 // Refresh routes from Publishing API
 async function refreshRoutes() {
   console.log('Attempting to refresh routes from Publishing API...');
   try {
-    const response = await axios.get('http://publishing-api:3000/published-content');
-    const contents = response.data.contents;
+    const [publishedResponse, unpublishedResponse, schemasResponse] = await Promise.all([
+      axios.get('http://publishing-api:3000/published-content'),
+      axios.get('http://publishing-api:3000/unpublished-content'),
+      axios.get('http://publishing-api:3000/schemas')
+    ]);
+    const contents = publishedResponse.data.contents;
+    const unpublishedContents = unpublishedResponse.data.contents;
     
-    // Clear existing cache
-    Object.keys(routeCache).forEach(key => delete routeCache[key]);
-    
-    // Populate cache with new routes
-    contents.forEach(content => {
-      routeCache[content.path] = {
-        contentId: content._id,
-        documentType: content.document_type
-      };
+    // Start again from the built-in routes. Redirected and gone content is
+    // answered by the router itself.
+    Object.values(routeTable).forEach(table => table.clear());
+    BUILT_IN_ROUTES.forEach(addRoute);
+    feedRoutes(schemasResponse.data.schemas).forEach(addRoute);
+    [...contents, ...unpublishedContents].forEach(content => {
+      contentRoutes(content).forEach(addRoute);
     });
     
-    console.log('Route cache refreshed with', Object.keys(routeCache).length, 'published routes');
+    console.log('Route table refreshed with', contents.length, 'published and', 
+      unpublishedContents.length, 'unpublished items,', routeTable.exact.size, 'exact and', 
+      routeTable.prefix.size, 'prefix routes');
   } catch (error) {
     console.error('Failed to refresh routes:', error.message);
   }
 }
 
-// Initial route load
+// Initial route load. The built-in routes work before the first refresh.
+BUILT_IN_ROUTES.forEach(addRoute);
 refreshRoutes();
-// Refresh routes every 5 minutes
-setInterval(refreshRoutes, 5 * 60 * 1000);
+// Routes are kept up to date by webhook events from the Publishing API; a
+// full refresh every 30 minutes catches anything a lost event missed
+setInterval(refreshRoutes, 30 * 60 * 1000);
+
+checkBackends();
+setInterval(checkBackends, BACKEND_CHECK_INTERVAL);
+
+// Webhook for Publishing API events. Whatever the event says, the current
+// route is fetched, so late or repeated deliveries can't leave it stale.
+app.post('/__events', readEventBody, async (req, res) => {
+  if (!hasValidSignature(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+  
+  const { event, data } = req.body;
+  if (!data || !data.path) {
+    return res.status(400).json({ success: false, error: 'Event data with a path is required' });
+  }
+  if (!['published', 'unpublished'].includes(event)) {
+    return res.json({ success: true, ignored: true });
+  }
+  
+  try {
+    await refreshRoute(data.path, data.content_id);
+    res.json({ success: true });
+  } catch (error) {
+    // A failure makes the Publishing API retry the delivery later
+    console.error(`Failed to refresh route for "${data.path}":`, error.message);
+    res.status(503).json({ success: false, error: error.message });
+  }
+});
+
+// Purge cached responses, e.g. after a change the Publishing API doesn't
+// send an event for. Signed like webhook events, and refused when there is
+// no WEBHOOK_SECRET to sign with, even if unsigned events are allowed, since
+// emptying the cache sends every request to the backends. Takes { path },
+// with prefix: true to purge everything under the path too; a prefix purge
+// of "" empties the cache.
+app.post('/__purge', readEventBody, (req, res) => {
+  if (!process.env.WEBHOOK_SECRET) {
+    return res.status(403).json({ success: false, error: 'Purging needs a WEBHOOK_SECRET to be set' });
+  }
+  if (!hasValidSignature(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+  if (!responseCache) {
+    return res.status(404).json({ success: false, error: 'The response cache is turned off' });
+  }
+  
+  const { path, prefix } = req.body;
+  if (typeof path !== 'string') {
+    return res.status(400).json({ success: false, error: 'path is required' });
+  }
+  const purged = responseCache.purge(path.replace(/^\/+/, ''), Boolean(prefix));
+  console.log(`Purged ${purged} cached responses for /${path.replace(/^\/+/, '')}${prefix ? ' and under' : ''}`);
+  res.json({ success: true, purged });
+});
+
+// Response cache statistics
+app.get('/__cache', (req, res) => {
+  res.json({ enabled: Boolean(responseCache), ...(responseCache ? responseCache.stats() : {}) });
+});
+
+// The route table and backends, for checking how paths are routed.
+// ?path=some/path also shows which route that path takes.
+app.get('/__routes', (req, res) => {
+  const describe = ({ path, contentPath, ...route }) => ({
+    path: `/${path}`,
+    ...route,
+    ...(contentPath !== undefined ? { contentPath: `/${contentPath}` } : {})
+  });
+  const table = [...routeTable.exact.values(), ...routeTable.prefix.values()]
+    .sort((a, b) => a.path.localeCompare(b.path) || a.type.localeCompare(b.type))
+    .map(describe);
+  
+  let match;
+  if (req.query.path !== undefined) {
+    const route = findRoute(String(req.query.path).replace(/^\/+/, ''));
+    match = route ? describe(route) : null;
+  }
+  
+  res.json({
+    backends: Object.values(backends),
+    routes: table,
+    ...(match !== undefined ? { match } : {})
+  });
+});
 
 // Special middleware to handle admin routes
 app.use(async (req, res, next) => {
   console.log(`Request: ${req.method} ${req.originalUrl}`);
   
-  // Specifically handle /admin path
-  if (req.originalUrl.startsWith('/admin')) {
+  // Specifically handle /admin and everything under it, but not content
+  // paths that merely start with it, such as /admin-fees
+  if (req.path === '/admin' || req.path.startsWith('/admin/')) {
     console.log('Admin route detected, proxying to frontend');
     
-    // Use axios for consistency with other routes
-    try {
-      const targetUrl = `http://frontend:3001${req.originalUrl}`;
-      console.log(`Proxying to: ${targetUrl}`);
-      
-      // Create axios request config with proper headers
-      const requestConfig = {
-        headers: {
-          ...req.headers,
-          host: 'frontend:3001'
-        },
-        // Important: set validateStatus to accept 304 as valid status
-        validateStatus: (status) => status >= 200 && status < 500,
-        // Important: set responseType to handle both regular and 304 responses
-        responseType: 'text'
-      };
-      
-      // Handle different HTTP methods
-      let response;
+    // Only signed-in users get past the sign in page
+    const isLoginPage = req.path === '/admin/login';
+    if (!isLoginPage && !(await isValidSession(sessionToken(req)))) {
       if (req.method === 'GET') {
-        response = await axios.get(targetUrl, requestConfig);
-      } else if (req.method === 'POST') {
-        // Get the Content-Type header
-        const contentType = req.headers['content-type'] || '';
-        
-        // Create appropriate request options
-        let requestConfig = {
-          headers: {
-            ...req.headers,
-            host: 'frontend:3001'
-          },
-          validateStatus: (status) => status >= 200 && status < 500,
-          responseType: 'text'
-        };
-        
-        // If this is a form submission, properly format the data
-        if (contentType.includes('application/x-www-form-urlencoded')) {
-          console.log('Form submission detected, formatting data properly for frontend');
-          // Convert to URLSearchParams format which axios will properly send as form data
-          const params = new URLSearchParams();
-          for (const [key, value] of Object.entries(req.body)) {
-            if (Array.isArray(value)) {
-              // Handle array values (like multiple parts in a guide)
-              value.forEach(item => params.append(key, item));
-            } else {
-              params.append(key, value);
-            }
-          }
-          // Send as URLSearchParams which axios will encode properly
-          response = await axios.post(targetUrl, params, requestConfig);
-        } else {
-          // For JSON or other content types, send as is
-          response = await axios.post(targetUrl, req.body, requestConfig);
-        }
-      }
-      
-      // Set response status and headers
-      res.status(response.status);
-      Object.entries(response.headers).forEach(([key, value]) => {
-        res.setHeader(key, value);
-      });
-      
-      // For 304 responses, just end the response without a body
-      if (response.status === 304) {
-        console.log('Sending 304 Not Modified response');
-        return res.end();
+        return res.redirect('/admin/login');
       }
-      
-      // For normal responses, send the data
-      return res.send(response.data);
-    } catch (error) {
-      console.error('Proxy error:', error.message);
-      return res.status(500).send('Error processing admin request');
+      return res.status(401).send('Sign in to use the admin');
     }
+    
+    return proxyToBackend(req, res, backends.frontend);
   }
   
   next();
 });
 
-// Regular route handling for non-admin routes
-app.get('/:path(*)', async (req, res) => {
+// Regular route handling for non-admin routes, for every method
+app.all('/:path(*)', (req, res) => {
   const path = req.params.path || '';
-  console.log(`Router handling GET request for path: "${path}"`);
-  
-  let targetUrl;
+  console.log(`Router handling ${req.method} request for path: "${path}"`);
   
-  // Special handling for homepage
-  if (path === '') {
-    targetUrl = 'http://frontend:3001/';
-  } 
-  // Special handling for search - ensure query parameters are preserved
-  else if (path === 'search') {
-    console.log('Search request detected with query string:', req.url);
-    const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
-    targetUrl = `http://frontend:3001/search${queryString}`;
-    console.log('Forwarding to:', targetUrl);
-  }
-  // Default handling
-  else {
-    targetUrl = `http://frontend:3001/${path}`;
+  // Unpublished routes are answered here rather than proxied
+  const route = findRoute(path) || { handler: 'backend', backend: DEFAULT_BACKEND };
+  if (route.handler === 'redirect') {
+    console.log(`Redirecting "${path}" to ${route.destination}`);
+    return res.redirect(301, route.destination);
+  }
+  if (route.handler === 'gone') {
+    console.log(`Path "${path}" is gone`);
+    return res.status(410).send(
+      '<!DOCTYPE html><html><head><title>Page removed - Mini GOV.UK</title></head><body>' +
+      '<a href="/">← Back to home</a><h1>The page you\'re looking for is no longer available</h1>' +
+      (route.explanation ? `<p>${escapeHtml(route.explanation)}</p>` : '') +
+      '</body></html>'
+    );
   }
   
-  console.log(`Proxying request to: ${targetUrl}`);
+  const backend = backends[route.backend];
+  if (!backend) {
+    console.error(`No backend called "${route.backend}" for path "${path}"`);
+    return res.status(502).send('Service communication error');
+  }
   
-  try {
-    // Make the request to the frontend service
-    const response = await axios({
-      method: 'get',
-      url: targetUrl,
-      // Don't transform response data
-      transformResponse: [(data) => data],
-      // Set longer timeout
-      timeout: 10000,
-      // Accept all status codes
-      validateStatus: () => true,
-      // Forward headers from the original request
-      headers: {
-        ...req.headers,
-        host: 'frontend:3001'
-      }
-    });
-    
-    // Log the response status
-    console.log(`Received ${response.status} response from frontend for path: ${path}`);
-    
-    // Send status code from the proxied response
-    res.status(response.status);
-    
-    // Copy important headers from the response
-    if (response.headers['content-type']) {
-      res.setHeader('Content-Type', response.headers['content-type']);
-    }
-    
-    // Send the response directly
-    return res.send(response.data);
-  } catch (error) {
-    console.error('Proxy error:', error.message);
-    return res.status(500).send('Service communication error');
+  // The whole path goes to the backend, with its query string, so a prefix
+  // route's backend can tell which page under it was asked for
+  if (isCacheable(req, route)) {
+    return proxyCached(req, res, backend);
+  }
+  if (responseCache) {
+    responseCache.count('bypasses');
+    res.setHeader('X-Cache', 'BYPASS');
   }
+  proxyToBackend(req, res, backend);
 });
 
 app.listen(3002, () => {
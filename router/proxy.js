@@ -0,0 +1,120 @@
+const http = require('http');
+const https = require('https');
+
+// Reverse proxy to the backends. Any method is passed on, and request and
+// response bodies are streamed through untouched, so uploads and binary
+// responses arrive as they were sent.
+// - hop-by-hop headers, which only apply to one connection, aren't passed on
+// - X-Forwarded-For, X-Forwarded-Host and X-Forwarded-Proto tell the backend
+//   about the original request
+// - redirects and cookies go back to the browser as the backend sent them
+// - a backend that can't be reached gets a 502, and one that goes quiet for
+//   longer than its timeout a 504
+
+// Headers that belong to one connection rather than the request, besides any
+// the Connection header names
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// Headers without the hop-by-hop ones
+function endToEndHeaders(headers) {
+  const named = String(headers.connection || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  const result = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    const lower = name.toLowerCase();
+    if (!HOP_BY_HOP_HEADERS.includes(lower) && !named.includes(lower)) {
+      result[name] = value;
+    }
+  });
+  return result;
+}
+
+// X-Forwarded-* headers for a request, from the connection the router was
+// sent it on. The router is the edge, so any the client sent are replaced
+// rather than trusted: otherwise a client could claim to be another address,
+// host or protocol.
+function forwardedHeaders(req) {
+  return {
+    'x-forwarded-for': req.socket.remoteAddress,
+    'x-forwarded-host': req.headers.host,
+    'x-forwarded-proto': req.socket.encrypted ? 'https' : 'http'
+  };
+}
+
+// Proxy a request to a backend, at a path with its query string. Options:
+// - omitHeaders: request headers not to pass on, by lowercase name
+// - onResponse(upstreamResponse): sees the backend's response before it is
+//   passed on, and can answer the request itself instead by returning true
+// - onError(error): told about failures to reach the backend, e.g. to mark
+//   it unhealthy. It can answer the request itself; otherwise it gets a 502
+//   or 504.
+function proxyRequest(req, res, backend, path, { omitHeaders = [], onResponse = () => false, onError = () => {} } = {}) {
+  const target = new URL(`${backend.url}${path}`);
+  const transport = target.protocol === 'https:' ? https : http;
+  const headers = { ...endToEndHeaders(req.headers), ...forwardedHeaders(req), host: target.host };
+  omitHeaders.forEach(name => delete headers[name]);
+
+  const upstream = transport.request(target, {
+    method: req.method,
+    headers,
+    timeout: backend.timeout
+  });
+
+  let responded = false;
+  upstream.on('response', upstreamResponse => {
+    responded = true;
+    if (onResponse(upstreamResponse)) {
+      upstreamResponse.resume();
+      return;
+    }
+    res.writeHead(upstreamResponse.statusCode, endToEndHeaders(upstreamResponse.headers));
+    upstreamResponse.pipe(res);
+    upstreamResponse.on('error', () => res.destroy());
+  });
+
+  // Destroying the request reports a reset connection, so whether it timed
+  // out is remembered here
+  let timedOut = false;
+  upstream.on('timeout', () => {
+    timedOut = true;
+    upstream.destroy();
+  });
+
+  upstream.on('error', upstreamError => {
+    // The browser went away; nothing more to do
+    if (res.writableEnded || res.destroyed) return;
+    // Part way through the response, all that can be done is to cut it off
+    if (responded) {
+      res.destroy();
+      return;
+    }
+    const error = timedOut
+      ? Object.assign(new Error(`${backend.name} didn't answer within ${backend.timeout}ms`), { code: 'ETIMEDOUT' })
+      : upstreamError;
+    console.error(`Proxy error from ${backend.name} for ${req.method} ${path}:`, error.message);
+    onError(error);
+    if (res.headersSent) return;
+    if (timedOut) {
+      res.status(504).type('text').send('Gateway timeout: the service took too long to answer');
+    } else {
+      res.status(502).type('text').send('Bad gateway: the service could not be reached');
+    }
+  });
+
+  // Stop the backend's work if the browser goes away first
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+  });
+
+  req.pipe(upstream);
+}
+
+module.exports = {
+  endToEndHeaders,
+  proxyRequest
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { stem } = require('./porter-stemmer');
+
+// Text analysis: how text is turned into the terms that are indexed and
+// searched for. The same pipeline runs over content and queries:
+// 1. split into lower-case words, dropping very short ones
+// 2. drop stop words
+// 3. stem each word, so "applying" and "apply" give the same term
+// 4. apply synonyms, matched against stemmed words
+// The settings live in config/analysis.json and the files it names, which
+// admins can edit; the index is rebuilt when they change.
+const CONFIG_DIR = path.join(__dirname, 'config');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'analysis.json');
+
+// How often the settings files are checked for changes
+const WATCH_INTERVAL = 5 * 1000;
+
+// Bump when a code change alters the terms produced, so indexes built by an
+// earlier version are recognised as out of date
+const ANALYSER_VERSION = 1;
+
+const STEMMERS = {
+  porter: stem
+};
+
+// Read a settings file of one entry per line, ignoring blanks and # comments
+function readList(file) {
+  if (!file) return [];
+  return fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Split text into lower-case words with where they are in the text
+function splitWords(text, minLength) {
+  const words = [];
+  const pattern = /\w+/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[0].length >= minLength) {
+      words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return words;
+}
+
+// Build an analyser from settings
+function createAnalyzer(settings) {
+  const { stemmer = null, stopWords = [], synonyms = [], minTokenLength = 2 } = settings;
+  const stemWord = stemmer ? STEMMERS[stemmer] : (word) => word;
+  if (!stemWord) {
+    throw new Error(`Unknown stemmer "${stemmer}", expected one of: ${Object.keys(STEMMERS).join(', ')}`);
+  }
+  const stopSet = new Set(stopWords.map(word => word.toLowerCase()));
+
+  // Steps 1 to 3, giving terms with where they are in the text and their
+  // position in the sequence of terms, for matching phrases
+  const baseTokens = (text) => splitWords(String(text || ''), minTokenLength)
+    .filter(({ word }) => !stopSet.has(word))
+    .map(({ word, start, end }, position) => ({ term: stemWord(word), start, end, position }));
+  const phraseTerms = (text) => baseTokens(text).map(token => token.term);
+
+  // Synonym rules, analysed like everything else. Equivalent phrases share a
+  // term, named after the first phrase; a => rule replaces its left side.
+  const rules = [];
+  synonyms.forEach(line => {
+    if (line.includes('=>')) {
+      const [from, to] = line.split('=>');
+      const replacement = phraseTerms(to);
+      from.split(',').map(phraseTerms).filter(terms => terms.length > 0).forEach(pattern => {
+        rules.push({ pattern, replacement, keepOriginal: false });
+      });
+    } else {
+      const phrases = line.split(',').map(phraseTerms).filter(terms => terms.length > 0);
+      if (phrases.length < 2) return;
+      const replacement = [phrases[0].join('_')];
+      phrases.forEach(pattern => rules.push({ pattern, replacement, keepOriginal: true }));
+    }
+  });
+  // Prefer the longest phrase where several start at the same word
+  rules.sort((a, b) => b.pattern.length - a.pattern.length);
+
+  const ruleAt = (tokens, index, mode) => rules.find(({ pattern, keepOriginal }) =>
+    !(mode === 'phrase' && keepOriginal) &&
+    pattern.every((term, offset) => tokens[index + offset] && tokens[index + offset].term === term));
+
+  // Analyse text into terms with positions. Content ('index') keeps the
+  // original words of an equivalent phrase alongside the shared term, so
+  // they can still be searched for on their own; queries ('query') are
+  // reduced to the shared term so they find every equivalent phrase.
+  // Exact phrases ('phrase') match the words as written, so skip equivalent
+  // phrases, but take => replacements as content does: the words replaced
+  // aren't indexed, so a phrase with them could never match.
+  // Synonym terms take the position of the phrase they stand for, so the
+  // positions of the words around them are the same in every mode.
+  function analyze(text, mode = 'index') {
+    const tokens = baseTokens(text);
+    if (rules.length === 0) return tokens;
+
+    const output = [];
+    for (let index = 0; index < tokens.length;) {
+      const rule = ruleAt(tokens, index, mode);
+      if (!rule) {
+        output.push(tokens[index]);
+        index++;
+        continue;
+      }
+
+      const span = tokens.slice(index, index + rule.pattern.length);
+      const start = span[0].start;
+      const end = span[span.length - 1].end;
+      if (rule.keepOriginal && mode === 'index') {
+        output.push(...span);
+      }
+      rule.replacement.forEach((term, offset) => output.push({ term, start, end, position: span[0].position + offset }));
+      index += rule.pattern.length;
+    }
+    return output;
+  }
+
+  // Identifies the settings, so an index can tell if it was built with others
+  const fingerprint = crypto.createHash('sha1')
+    .update(JSON.stringify({ version: ANALYSER_VERSION, stemmer, stopWords, synonyms, minTokenLength }))
+    .digest('hex');
+
+  return {
+    fingerprint,
+    settings: { stemmer, stopWords: stopSet.size, synonymRules: rules.length, minTokenLength },
+    analyze,
+    terms: (text, mode) => analyze(text, mode).map(token => token.term)
+  };
+}
+
+// Read the settings files and build an analyser from them
+function loadAnalyzer() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  return createAnalyzer({
+    stemmer: config.stemmer || null,
+    stopWords: readList(config.stopWords),
+    synonyms: readList(config.synonyms),
+    minTokenLength: config.minTokenLength || 2
+  });
+}
+
+// Call onChange with a new analyser whenever the settings files change in a
+// way that changes the analysis. Broken settings are reported and ignored.
+function watchAnalyzer(current, onChange) {
+  const watched = new Set();
+
+  const watch = (file) => {
+    if (!file || watched.has(file)) return;
+    watched.add(file);
+    fs.watchFile(path.join(CONFIG_DIR, file), { interval: WATCH_INTERVAL }, reload);
+  };
+
+  function reload() {
+    try {
+      const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      watch(config.stopWords);
+      watch(config.synonyms);
+
+      const analyzer = loadAnalyzer();
+      if (analyzer.fingerprint !== current.fingerprint) {
+        current = analyzer;
+        onChange(analyzer);
+      }
+    } catch (error) {
+      console.error('Ignoring invalid analysis settings:', error.message);
+    }
+  }
+
+  watch(path.basename(CONFIG_FILE));
+  reload();
+}
+
+module.exports = {
+  createAnalyzer,
+  loadAnalyzer,
+  watchAnalyzer
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+// Search analytics: a log of every search and of which results were
+// clicked, and reports on it.
+// - search events: the query, how many results it found, its filters, sort
+//   and page, how many results were shown and how long it took
+// - click events: which search a click came from, the result's path and its
+//   rank, counting from 1 across all pages
+// Events are appended to a file of one JSON object per line. Nothing that
+// identifies who searched, such as an IP address, is recorded.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest date range a report can cover, and the range it covers by default
+const MAX_REPORT_DAYS = 366;
+const DEFAULT_REPORT_DAYS = 7;
+
+// Ranks reported on for click-through rate
+const REPORTED_RANKS = 20;
+
+// A query as it is counted in reports, so "Passport " and "passport" are one
+const normaliseQuery = (query) => String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Filters logged with a search
+const FILTER_PARAMS = ['type', 'organisation', 'taxon', 'updated_after', 'updated_before'];
+
+// The filters a search was made with, from its query string
+function searchFilters(query) {
+  const filters = {};
+  FILTER_PARAMS.forEach(param => {
+    if (query[param]) filters[param] = query[param];
+  });
+  return filters;
+}
+
+// Read the logged events, up to the latest max of them, skipping lines that
+// can't be read, such as one cut short by a crash
+function loadEvents(file, max = Infinity) {
+  if (!file) return [];
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ignoring unreadable search analytics file:', error.message);
+    }
+    return [];
+  }
+
+  const events = [];
+  lines.forEach(line => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore partly written lines
+    }
+  });
+  return events.length > max ? events.slice(events.length - max) : events;
+}
+
+// Run changes to the file one at a time, in the order they were asked for,
+// so a rewrite can't lose events appended while it was being written.
+// Returns a function taking an async task and giving a promise of its result.
+function createWriteQueue() {
+  let last = Promise.resolve();
+  return (task) => {
+    const run = last.then(task);
+    last = run.catch(() => {});
+    return run;
+  };
+}
+
+// Add an event to the end of the file
+async function appendEvent(file, event) {
+  if (!file) return;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${JSON.stringify(event)}\n`);
+}
+
+// Replace the file with just these events, to drop old ones. It is written
+// under another name and renamed into place, so a crash leaves it whole.
+async function rewriteEvents(file, events) {
+  if (!file) return;
+  const temporaryFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporaryFile, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+  await fs.promises.rename(temporaryFile, file);
+}
+
+// Read a report's date range from from and to dates, such as 2024-01-31.
+// Both days are included; the default is the last week. Returns { range },
+// or { error } if the dates are wrong.
+function parseDateRange(query, now = new Date()) {
+  const today = new Date(now.toISOString().slice(0, 10));
+  const dates = {};
+  for (const param of ['from', 'to']) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be a date, such as 2024-01-31` };
+    }
+    dates[param] = new Date(date.toISOString().slice(0, 10));
+  }
+
+  const to = dates.to || today;
+  const from = dates.from || new Date(to.getTime() - (DEFAULT_REPORT_DAYS - 1) * DAY);
+  if (from > to) {
+    return { error: 'from must be on or before to' };
+  }
+  if (to - from >= MAX_REPORT_DAYS * DAY) {
+    return { error: `A report can cover at most ${MAX_REPORT_DAYS} days` };
+  }
+  // Up to the end of the last day
+  return { range: { from, to: new Date(to.getTime() + DAY) } };
+}
+
+const rate = (part, whole) => (whole > 0 ? part / whole : 0);
+
+// Report on the events in a date range:
+// - top queries, by how many times they were searched for, with how often
+//   a result on the first page was clicked
+// - queries that found nothing
+// - click-through rate by rank: of the times a result was shown at a rank,
+//   how often it was clicked
+// Searches are counted by their first page; later pages only count as
+// showing results.
+function buildReport(events, { from, to }, limit) {
+  const inRange = events.filter(event => {
+    const at = new Date(event.at);
+    return at >= from && at < to;
+  });
+  const searches = inRange.filter(event => event.type === 'search');
+  const clicks = inRange.filter(event => event.type === 'click');
+  const firstPages = searches.filter(search => search.page === 1);
+
+  // First pages of results that had a result clicked, and the query each
+  // was for
+  const queryOfSearch = new Map(firstPages.map(search => [search.id, search.query]));
+  const clickedSearches = new Set(clicks.map(click => click.searchId).filter(id => queryOfSearch.has(id)));
+
+  const queries = new Map();
+  firstPages.forEach(search => {
+    if (!queries.has(search.query)) {
+      queries.set(search.query, { query: search.query, searches: 0, clicked: 0, zeroResults: 0, lastSearchedAt: null });
+    }
+    const entry = queries.get(search.query);
+    entry.searches++;
+    if (search.hits === 0) entry.zeroResults++;
+    if (!entry.lastSearchedAt || search.at > entry.lastSearchedAt) entry.lastSearchedAt = search.at;
+  });
+  clickedSearches.forEach(id => {
+    const entry = queries.get(queryOfSearch.get(id));
+    if (entry) entry.clicked++;
+  });
+
+  const byCount = (a, b) => b.searches - a.searches || a.query.localeCompare(b.query);
+  const topQueries = [...queries.values()]
+    .sort(byCount)
+    .slice(0, limit)
+    .map(({ query, searches: count, clicked }) => ({ query, searches: count, clickThroughRate: rate(clicked, count) }));
+  const zeroResultQueries = [...queries.values()]
+    .filter(entry => entry.zeroResults > 0)
+    .map(({ query, zeroResults, lastSearchedAt }) => ({ query, searches: zeroResults, lastSearchedAt }))
+    .sort(byCount)
+    .slice(0, limit);
+
+  // How often each rank was shown and clicked
+  const impressions = new Array(REPORTED_RANKS).fill(0);
+  const rankClicks = new Array(REPORTED_RANKS).fill(0);
+  searches.forEach(search => {
+    const first = (search.page - 1) * search.pageSize;
+    for (let rank = first; rank < Math.min(first + search.shown, REPORTED_RANKS); rank++) impressions[rank]++;
+  });
+  clicks.forEach(click => {
+    if (click.rank <= REPORTED_RANKS) rankClicks[click.rank - 1]++;
+  });
+  const clickThroughByRank = impressions
+    .map((shown, index) => ({ rank: index + 1, impressions: shown, clicks: rankClicks[index], rate: rate(rankClicks[index], shown) }))
+    .filter(entry => entry.impressions > 0 || entry.clicks > 0);
+
+  const latencies = searches.map(search => search.latencyMs);
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: new Date(to.getTime() - DAY).toISOString().slice(0, 10),
+    searches: firstPages.length,
+    zeroResultSearches: firstPages.filter(search => search.hits === 0).length,
+    clicks: clicks.length,
+    clickThroughRate: rate(clickedSearches.size, firstPages.length),
+    averageLatencyMs: latencies.length > 0 ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length : 0,
+    topQueries,
+    zeroResultQueries,
+    clickThroughByRank
+  };
+}
+
+module.exports = {
+  DAY,
+  normaliseQuery,
+  searchFilters,
+  loadEvents,
+  appendEvent,
+  rewriteEvents,
+  createWriteQueue,
+  parseDateRange,
+  buildReport
+};
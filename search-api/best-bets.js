@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Best bets: editors' picks that override ranking for particular queries.
+// - a best bet pins a page at a position in the results, whether or not the
+//   query matches it
+// - a worst bet demotes a page to the end of the results, or hides it
+// A bet's query matches searches for exactly that query, ignoring case and
+// spacing, or with match "normalised" any query that analyses to the same
+// terms, so "Passports" and "the passport" count as "passport". Ranking is
+// only changed when results are sorted by relevance.
+const BET_KINDS = ['best', 'worst'];
+const MATCH_TYPES = ['exact', 'normalised'];
+const WORST_BET_ACTIONS = ['demote', 'hide'];
+
+// Furthest down the results a page can be pinned
+const MAX_POSITION = 100;
+
+// A query as compared by exact bets
+const exactQuery = (query) => String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// A query as compared by normalised bets: its terms in a set order
+const normalisedQuery = (query, analyzer) => [...new Set(analyzer.terms(query, 'query'))].sort().join(' ');
+
+// Paths are stored as the search index has them, without a leading slash
+const normalisePath = (value) => String(value || '').trim().replace(/^\/+/, '');
+
+// Read the bets from their file. Without a file, or before one is saved,
+// there are none.
+function loadBestBets(file) {
+  if (!file) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).bets || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ignoring unreadable best bets file:', error.message);
+    }
+    return [];
+  }
+}
+
+// Write the bets to their file, under another name first and renamed into
+// place so a crash can't leave it half written
+async function saveBestBets(file, bets) {
+  if (!file) return;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporaryFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporaryFile, JSON.stringify({ bets }, null, 2));
+  await fs.promises.rename(temporaryFile, file);
+}
+
+// Check a new bet, or the fields of a change to one
+function validateBestBet(data, isNew) {
+  const errors = [];
+  if ((isNew || data.query !== undefined) && !exactQuery(data.query)) {
+    errors.push({ field: 'query', message: 'is required' });
+  }
+  if ((isNew || data.path !== undefined) && !normalisePath(data.path)) {
+    errors.push({ field: 'path', message: 'is required' });
+  }
+  if (isNew && !BET_KINDS.includes(data.kind)) {
+    errors.push({ field: 'kind', message: `must be one of ${BET_KINDS.join(', ')}` });
+  }
+  if (data.match !== undefined && !MATCH_TYPES.includes(data.match)) {
+    errors.push({ field: 'match', message: `must be one of ${MATCH_TYPES.join(', ')}` });
+  }
+  if (data.position !== undefined) {
+    const position = Number(data.position);
+    if (!Number.isInteger(position) || position < 1 || position > MAX_POSITION) {
+      errors.push({ field: 'position', message: `must be a whole number from 1 to ${MAX_POSITION}` });
+    }
+  }
+  if (data.action !== undefined && !WORST_BET_ACTIONS.includes(data.action)) {
+    errors.push({ field: 'action', message: `must be one of ${WORST_BET_ACTIONS.join(', ')}` });
+  }
+  return errors;
+}
+
+// A new bet from validated data
+function createBestBet(data, user) {
+  const now = new Date().toISOString();
+  const kind = data.kind;
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    query: exactQuery(data.query),
+    match: data.match || 'normalised',
+    kind,
+    path: normalisePath(data.path),
+    ...(kind === 'best' ? { position: Number(data.position || 1) } : { action: data.action || 'demote' }),
+    comment: data.comment || '',
+    createdBy: user.username,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// A bet with validated changes made to it. Its kind can't change.
+function updateBestBet(bet, data, user) {
+  const updated = { ...bet, updatedBy: user.username, updatedAt: new Date().toISOString() };
+  if (data.query !== undefined) updated.query = exactQuery(data.query);
+  if (data.match !== undefined) updated.match = data.match;
+  if (data.path !== undefined) updated.path = normalisePath(data.path);
+  if (data.comment !== undefined) updated.comment = data.comment || '';
+  if (bet.kind === 'best' && data.position !== undefined) updated.position = Number(data.position);
+  if (bet.kind === 'worst' && data.action !== undefined) updated.action = data.action;
+  return updated;
+}
+
+// The form of a bet's query that searches are compared with
+const betQuery = (bet, analyzer) => (bet.match === 'exact' ? bet.query : normalisedQuery(bet.query, analyzer));
+
+// Whether two bets are on the same page for the same searches
+const sameBet = (a, b, analyzer) => a.id !== b.id && a.match === b.match && a.path === b.path &&
+  betQuery(a, analyzer) === betQuery(b, analyzer);
+
+// What the bets say to do with the results of a query: the paths to pin,
+// with their positions, and the paths to demote and to hide. A page both
+// pinned and demoted by different bets is pinned.
+function betsForQuery(bets, query, analyzer) {
+  const exact = exactQuery(query);
+  const normalised = normalisedQuery(query, analyzer);
+  // A query of only stop words normalises to nothing, and matches no bets
+  const applying = bets.filter(bet => {
+    const compared = bet.match === 'exact' ? exact : normalised;
+    return compared !== '' && betQuery(bet, analyzer) === compared;
+  });
+
+  const pinned = new Map();
+  applying.filter(bet => bet.kind === 'best').forEach(bet => {
+    pinned.set(bet.path, Math.min(bet.position, pinned.get(bet.path) || Infinity));
+  });
+  const worst = (action) => new Set(applying
+    .filter(bet => bet.kind === 'worst' && bet.action === action && !pinned.has(bet.path))
+    .map(bet => bet.path));
+
+  return { pinned, demoted: worst('demote'), hidden: worst('hide') };
+}
+
+// Mark the results that are pinned or demoted and, if reorder is set, move
+// them: demoted results after the rest and pinned ones to their positions.
+// Hidden results are expected to be gone already.
+function applyBestBets(results, { pinned, demoted }, reorder) {
+  const marked = results.map(result => {
+    if (pinned.has(result.path)) return { ...result, pinned: true };
+    if (demoted.has(result.path)) return { ...result, demoted: true };
+    return result;
+  });
+  if (!reorder) return marked;
+
+  const ordered = [...marked.filter(result => !result.pinned && !result.demoted), ...marked.filter(result => result.demoted)];
+  // Inserted from the top down, so each lands at its own position
+  marked.filter(result => result.pinned)
+    .sort((a, b) => pinned.get(a.path) - pinned.get(b.path))
+    .forEach(result => ordered.splice(Math.min(pinned.get(result.path) - 1, ordered.length), 0, result));
+  return ordered;
+}
+
+module.exports = {
+  BET_KINDS,
+  MATCH_TYPES,
+  WORST_BET_ACTIONS,
+  normalisePath,
+  loadBestBets,
+  saveBestBets,
+  validateBestBet,
+  createBestBet,
+  updateBestBet,
+  sameBet,
+  betsForQuery,
+  applyBestBets
+};
@@ -0,0 +1,142 @@
+// Faceted search: what results can be narrowed down by, and how many results
+// each choice would give.
+// - type: document type
+// - organisation and taxon: paths of the organisations and topics content
+//   is linked to
+// - updated: when content was last updated, as a date range
+// Several values of one facet match any of them; different facets must all
+// match. Each facet is counted without its own filter, so choosing one value
+// still shows how many results the others would give.
+const FACETS = ['type', 'organisation', 'taxon', 'updated'];
+
+// Buckets of when content was updated, counted back from today. They
+// overlap, so the past month includes the past week.
+const UPDATED_BUCKETS = [
+  { value: 'past_week', label: 'Past week', days: 7 },
+  { value: 'past_month', label: 'Past month', days: 30 },
+  { value: 'past_year', label: 'Past year', days: 365 },
+  { value: 'over_a_year', label: 'More than a year ago', days: 365, before: true }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Values of a filter given once, repeated or comma-separated
+function listParam(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Read the filters from a search's query string: type, organisation and
+// taxon, and updated_after (on or after) and updated_before (before) as
+// dates such as 2024-01-31. Returns { filters }, or { error } for a bad date.
+function parseFilters(query) {
+  const filters = {
+    type: listParam(query.type),
+    organisation: listParam(query.organisation),
+    taxon: listParam(query.taxon),
+    updatedAfter: null,
+    updatedBefore: null
+  };
+
+  for (const [param, key] of [['updated_after', 'updatedAfter'], ['updated_before', 'updatedBefore']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be a date, such as 2024-01-31` };
+    }
+    filters[key] = date;
+  }
+
+  return { filters };
+}
+
+// The values a content item has for each facet, stored with its document
+function documentFacets(content) {
+  const links = content.expanded_links || {};
+  const linked = (items) => (items || []).map(item => ({ value: item.path, label: item.title }));
+  return {
+    type: [{ value: content.document_type }],
+    organisation: linked(links.organisations),
+    taxon: linked(links.taxons)
+  };
+}
+
+// Whether a document passes the filter of one facet
+function passesFacet(doc, facet, filters) {
+  if (facet === 'updated') {
+    const updatedAt = new Date(doc.updatedAt);
+    return (!filters.updatedAfter || updatedAt >= filters.updatedAfter) &&
+      (!filters.updatedBefore || updatedAt < filters.updatedBefore);
+  }
+  const selected = filters[facet];
+  return selected.length === 0 || doc.facets[facet].some(({ value }) => selected.includes(value));
+}
+
+// Count the values of a facet over some documents, most common first. Chosen
+// values are always included, so they can be unchosen.
+function countValues(docs, facet, selected) {
+  const counts = new Map();
+  docs.forEach(doc => doc.facets[facet].forEach(({ value, label }) => {
+    if (!counts.has(value)) counts.set(value, { value, label, count: 0 });
+    counts.get(value).count++;
+  }));
+  selected.forEach(value => {
+    if (!counts.has(value)) counts.set(value, { value, count: 0 });
+  });
+
+  return [...counts.values()]
+    .map(entry => ({ ...entry, selected: selected.includes(entry.value) }))
+    .sort((a, b) => b.count - a.count || (a.label || a.value).localeCompare(b.label || b.value));
+}
+
+// Count the updated buckets over some documents. Each bucket says which
+// updated_after or updated_before filter gives it.
+function countUpdated(docs, filters, now) {
+  return UPDATED_BUCKETS.map(({ value, label, days, before }) => {
+    const date = new Date(now.getTime() - days * DAY).toISOString().slice(0, 10);
+    const boundary = new Date(date).getTime();
+    const count = docs.filter(doc => {
+      const updatedAt = new Date(doc.updatedAt).getTime();
+      return before ? updatedAt < boundary : updatedAt >= boundary;
+    }).length;
+
+    const [chosen, other] = before
+      ? [filters.updatedBefore, filters.updatedAfter]
+      : [filters.updatedAfter, filters.updatedBefore];
+    return {
+      value,
+      label,
+      count,
+      ...(before ? { updated_before: date } : { updated_after: date }),
+      selected: Boolean(chosen && !other && chosen.getTime() === boundary)
+    };
+  });
+}
+
+// Apply the filters to the documents matching a query, returning the
+// documents that pass them all and the counts for every facet
+function applyFacets(docs, filters, now = new Date()) {
+  const passes = docs.map(doc => FACETS.map(facet => passesFacet(doc, facet, filters)));
+  // Documents passing every filter except, optionally, one facet's
+  const passing = (except) => docs.filter((doc, index) =>
+    passes[index].every((passed, facetIndex) => passed || FACETS[facetIndex] === except));
+
+  return {
+    docs: passing(null),
+    facets: {
+      type: countValues(passing('type'), 'type', filters.type),
+      organisation: countValues(passing('organisation'), 'organisation', filters.organisation),
+      taxon: countValues(passing('taxon'), 'taxon', filters.taxon),
+      updated: countUpdated(passing('updated'), filters, now)
+    }
+  };
+}
+
+module.exports = {
+  FACETS,
+  parseFilters,
+  documentFacets,
+  applyFacets
+};
@@ -1,43 +1,320 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
+const { SEARCH_FIELDS, parseBoosts, scoreDocument } = require('./ranking');
+const { loadAnalyzer, watchAnalyzer } = require('./analysis');
+const { QueryError, parseQuery } = require('./query-parser');
+const { parseFilters, documentFacets, applyFacets } = require('./facets');
+const { buildSuggestionIndex, completeTitle, correctQuery } = require('./suggestions');
+const { saveSnapshot, loadSnapshot } = require('./snapshot');
+const { govspeakToText } = require('mini-govuk-shared/govspeak');
+const {
+  normalisePath, loadBestBets, saveBestBets, validateBestBet, createBestBet, updateBestBet, sameBet,
+  betsForQuery, applyBestBets
+} = require('./best-bets');
+const {
+  DAY, normaliseQuery, searchFilters, loadEvents, appendEvent, rewriteEvents, createWriteQueue, parseDateRange,
+  buildReport
+} = require('./analytics');
 const app = express();
-app.use(express.json());
+// Keep the raw body so webhook signatures can be checked
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// Turns content and queries into terms: stop words, stemming and synonyms,
+// as set in config/analysis.json
+let analyzer = loadAnalyzer();
+
+// Field boosts for ranking, e.g. SEARCH_FIELD_BOOSTS="title:5,body:1"
+const fieldBoosts = parseBoosts(process.env.SEARCH_FIELD_BOOSTS);
+
+// Searches with fewer results than this get a spelling suggestion if one
+// finds more
+const SPELLING_SUGGESTION_THRESHOLD = 3;
+
+// Most titles /suggest returns
+const MAX_SUGGESTIONS = 20;
+
+// Results per page of a search, unless asked otherwise, and at most
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Where the index is saved so a restart doesn't have to wait for a rebuild,
+// e.g. SEARCH_INDEX_SNAPSHOT=/data/search-index.json. Without it the index
+// is only kept in memory.
+const SNAPSHOT_FILE = process.env.SEARCH_INDEX_SNAPSHOT || null;
+
+// How long after a change the snapshot is saved, so a burst of changes is
+// saved once
+const SNAPSHOT_DELAY = 30 * 1000;
+
+// Where editors' best and worst bets are kept, e.g.
+// SEARCH_BEST_BETS_FILE=/data/best-bets.json. Without it they are lost on
+// restart.
+const BEST_BETS_FILE = process.env.SEARCH_BEST_BETS_FILE || null;
+
+// Where search analytics are logged, e.g.
+// SEARCH_ANALYTICS_FILE=/data/search-analytics.jsonl, and for how many days
+// they are kept. Without a file they are only kept in memory.
+const ANALYTICS_FILE = process.env.SEARCH_ANALYTICS_FILE || null;
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 90;
+
+// Most analytics events kept, in memory and in the file, the oldest dropped
+// first, so a busy site can't run the service out of memory. Reports only
+// see the events kept.
+const ANALYTICS_MAX_EVENTS = parseInt(process.env.SEARCH_ANALYTICS_MAX_EVENTS) || 200000;
+
+// Most queries an analytics report lists
+const MAX_REPORT_QUERIES = 100;
+
+// How often the index is checked against the Publishing API for changes a
+// lost webhook event missed, and how long it can go unchecked before
+// /health calls it stale
+const SYNC_INTERVAL = 30 * 60 * 1000;
+const STALE_AFTER = 2 * SYNC_INTERVAL;
+
+// Publishing API roles, from least to most rights
+const ROLES = ['writer', 'publisher', 'admin'];
+
+// Orders results can be sorted in. Ties are broken by relevance.
+const SORT_ORDERS = {
+  relevance: () => 0,
+  newest: (a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0),
+  oldest: (a, b) => new Date(a.updatedAt || 0) - new Date(b.updatedAt || 0),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '')
+};
 
 // Enhanced search index structure
 const searchIndex = {
   documents: {},
-  tokenizedIndex: {}, // For faster lookup by token
+  // Inverted index: token -> Map of document id -> { field: [positions] },
+  // where a token's frequency in a field is the number of its positions
+  postings: new Map(),
+  // Sum of each field's length over all documents, for average field lengths
+  fieldLengthTotals: emptyFieldCounts()
 };
 
+// A count of zero for every search field
+function emptyFieldCounts() {
+  const counts = {};
+  SEARCH_FIELDS.forEach(field => { counts[field] = 0; });
+  return counts;
+}
+
+// When the index was last brought fully up to date with the Publishing API,
+// and why the last attempt failed if it did
 let lastIndexedTime = null;
+let lastIndexError = null;
 
-// Helper function to tokenize text for better search
-function tokenizeText(text) {
-  // Convert to lowercase, remove punctuation, and split into words
-  return text.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/)
-    .filter(token => token.length > 1); // Filter out short tokens
+// Whether a build or sync is running, so they don't overlap, and whether a
+// full rebuild was asked for meanwhile
+let indexing = false;
+let rebuildQueued = false;
+
+// The snapshot the index was last saved to or loaded from
+const snapshotStatus = {
+  loadedAt: null,
+  savedAt: null,
+  pending: null,
+  changed: false
+};
+
+// Best and worst bets for particular queries
+let bestBets = loadBestBets(BEST_BETS_FILE);
+// Changes to the bets, one at a time
+const writeBestBets = createWriteQueue();
+
+// Searches and result clicks, for analytics
+let analyticsEvents = loadEvents(ANALYTICS_FILE, ANALYTICS_MAX_EVENTS);
+// Whether the file may have events that have been dropped from memory
+let analyticsTrimmed = analyticsEvents.length === ANALYTICS_MAX_EVENTS;
+// Appends to and rewrites of the analytics file, one at a time
+const writeAnalytics = createWriteQueue();
+
+// Log a search or click for analytics. A failure to save it doesn't fail
+// the request. Past the limit, the oldest events are dropped a tenth at a
+// time, rather than one by one.
+function recordEvent(event) {
+  analyticsEvents.push(event);
+  if (analyticsEvents.length > ANALYTICS_MAX_EVENTS) {
+    analyticsEvents = analyticsEvents.slice(Math.ceil(ANALYTICS_MAX_EVENTS / 10));
+    analyticsTrimmed = true;
+  }
+  writeAnalytics(() => appendEvent(ANALYTICS_FILE, event))
+    .catch(error => console.error('Failed to log search analytics:', error.message));
 }
 
-// Function to generate a snippet of text containing search terms
-function generateSnippet(text, queryTokens, maxLength = 160) {
-  if (!text) return '';
-  if (!queryTokens || queryTokens.length === 0) {
-    return text.slice(0, maxLength) + (text.length > maxLength ? '...' : '');
+// The logged search with an id, if it is still kept. The latest events are
+// looked at first, as clicks mostly come soon after their search.
+function findSearch(id) {
+  for (let index = analyticsEvents.length - 1; index >= 0; index--) {
+    const event = analyticsEvents[index];
+    if (event.type === 'search' && event.id === id) return event;
+  }
+  return null;
+}
+
+// Drop analytics older than the retention period, and from the file those
+// dropped from memory. The events to keep are taken now, so they are the
+// ones appended before the rewrite, and later events are appended after it.
+async function pruneAnalytics() {
+  const since = new Date(Date.now() - ANALYTICS_RETENTION_DAYS * DAY);
+  const kept = analyticsEvents.filter(event => new Date(event.at) >= since);
+  if (kept.length === analyticsEvents.length && !analyticsTrimmed) return;
+  
+  analyticsEvents = kept;
+  analyticsTrimmed = false;
+  try {
+    const rewritten = kept.slice();
+    await writeAnalytics(() => rewriteEvents(ANALYTICS_FILE, rewritten));
+  } catch (error) {
+    console.error('Failed to prune search analytics:', error.message);
+  }
+}
+
+// Prefix index and vocabulary for suggestions, built from the documents when
+// first needed after they change
+let suggestionIndex = null;
+
+// Note a change to the indexed documents: suggestions are rebuilt when next
+// needed and the snapshot is saved shortly
+function indexChanged() {
+  suggestionIndex = null;
+  snapshotStatus.changed = true;
+  if (SNAPSHOT_FILE && !snapshotStatus.pending) {
+    snapshotStatus.pending = setTimeout(writeSnapshot, SNAPSHOT_DELAY);
+  }
+}
+
+function suggestions() {
+  if (!suggestionIndex) {
+    suggestionIndex = buildSuggestionIndex(searchIndex.documents);
+  }
+  return suggestionIndex;
+}
+
+// Document type schemas from the publishing API, keyed by document_type
+let documentSchemas = {};
+
+// Fetch the document type schemas that say which fields hold searchable text
+async function loadDocumentSchemas() {
+  try {
+    const response = await axios.get('http://publishing-api:3000/schemas');
+    const schemas = {};
+    response.data.schemas.forEach(({ document_type, schema }) => {
+      schemas[document_type] = schema;
+    });
+    documentSchemas = schemas;
+  } catch (error) {
+    console.error('Failed to load document schemas:', error.message);
   }
+}
+
+// Search field for a schema property, from its x-display hint: leads are
+// the introduction, headings such as guide part titles are headings, and
+// everything else is body text
+function searchFieldFor(property) {
+  if (property['x-display'] === 'lead') return 'introduction';
+  if (property['x-display'] === 'heading') return 'headings';
+  return 'body';
+}
+
+// Collect the searchable text of a content item by search field, from the
+// string fields its schema declares, including the fields of array items
+// such as guide parts. Also returns all the text in reading order, for snippets,
+// and the sections of it that are parts with their own pages, such as guide
+// parts, as { slug, title, start, end }.
+function extractSearchFields(content, schema) {
+  const fields = { title: [content.title || ''], introduction: [], headings: [], body: [] };
+  const allText = [content.title || ''];
+  const sections = [];
+  // Length of allText once joined
+  let length = allText[0].length;
   
-  const lowerText = text.toLowerCase();
+  const collect = (value, property) => {
+    if (value === undefined || value === null || property['x-searchable'] === false) return;
+    if (property.type === 'string') {
+      // Govspeak is indexed as the text readers see, without its markup
+      const text = property['x-format'] === 'govspeak' ? govspeakToText(value) : String(value);
+      fields[searchFieldFor(property)].push(text);
+      allText.push(text);
+      length += text.length + 1;
+    } else if (property.type === 'array' && Array.isArray(value)) {
+      const items = property.items || {};
+      const itemProperties = items.properties || {};
+      // Items with a slug have their own page (see x-slug-from)
+      const slugKey = Object.keys(itemProperties).find(key => itemProperties[key]['x-slug-from']);
+      value.forEach(item => {
+        const start = length;
+        collect(item, items);
+        if (slugKey && item && item[slugKey]) {
+          const title = item[itemProperties[slugKey]['x-slug-from']];
+          sections.push({ slug: item[slugKey], title: title || item[slugKey], start, end: length });
+        }
+      });
+    } else if (property.type === 'object' && typeof value === 'object') {
+      Object.entries(property.properties || {}).forEach(([key, child]) => collect(value[key], child));
+    }
+  };
+  
+  Object.entries((schema && schema.properties) || {}).forEach(([field, property]) => {
+    if (field !== 'title') collect(content[field], property);
+  });
   
-  // Find the position of the first query token in the text
-  let bestPosition = -1;
-  for (const token of queryTokens) {
-    const position = lowerText.indexOf(token);
-    if (position !== -1 && (bestPosition === -1 || position < bestPosition)) {
-      bestPosition = position;
+  const fieldTexts = {};
+  SEARCH_FIELDS.forEach(field => { fieldTexts[field] = fields[field].join(' '); });
+  return { fieldTexts, text: allText.join(' '), sections };
+}
+
+// Where words matching the query terms are in some text, as [start, end]
+// ranges. Matching goes through the analyser, so "applying" is found for a
+// search for "apply" and a synonym's whole phrase is covered.
+function highlightRanges(text, queryTerms) {
+  const terms = new Set(queryTerms);
+  const ranges = analyzer.analyze(text)
+    .filter(token => terms.has(token.term))
+    .map(token => [token.start, token.end])
+    .sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  
+  // Merge overlapping ranges, e.g. a synonym phrase and a word inside it
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
     }
+    return merged;
+  }, []);
+}
+
+// The part of a document with the most words matching the query terms, such
+// as a guide part, as { slug, title }, so results can link straight to it.
+// Null if the document has no parts or only matched outside them, e.g. in
+// its title.
+function bestSection(doc, queryTerms) {
+  if (!doc.sections || doc.sections.length === 0) return null;
+  const counts = doc.sections.map(() => 0);
+  highlightRanges(doc.text, queryTerms).forEach(([start]) => {
+    const index = doc.sections.findIndex(section => start >= section.start && start < section.end);
+    if (index !== -1) counts[index]++;
+  });
+  const best = counts.indexOf(Math.max(...counts));
+  if (counts[best] === 0) return null;
+  const { slug, title } = doc.sections[best];
+  return { slug, title };
+}
+
+// Function to generate a snippet of text containing search terms
+function generateSnippet(text, queryTerms, maxLength = 160) {
+  if (!text) return '';
+  if (!queryTerms || queryTerms.length === 0) {
+    return text.slice(0, maxLength) + (text.length > maxLength ? '...' : '');
   }
   
+  // Find the position of the first query term in the text
+  const firstMatch = highlightRanges(text, queryTerms)[0];
+  const bestPosition = firstMatch ? firstMatch[0] : -1;
+  
   // If no token found, return the beginning of the text
   if (bestPosition === -1) {
     return text.substring(0, maxLength) + '...';
@@ -70,124 +347,456 @@ function generateSnippet(text, queryTokens, maxLength = 160) {
   return snippet;
 }
 
-// Build initial search index
+// Fetch every live content item, and the schemas that say how to index them
+async function fetchPublishedContent() {
+  await loadDocumentSchemas();
+  const response = await axios.get('http://publishing-api:3000/published-content');
+  return response.data.contents;
+}
+
+// Identifies what a content item was indexed from, including its schema,
+// so a sync can tell which items changed
+function contentDigest(content) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([content, documentSchemas[content.document_type] || null]))
+    .digest('hex');
+}
+
+// Build the whole search index again from the Publishing API. If a build or
+// sync is already running, the rebuild happens once it finishes.
 async function buildSearchIndex() {
+  if (indexing) {
+    rebuildQueued = true;
+    return;
+  }
+  indexing = true;
   try {
     console.log('Building complete search index...');
-    const response = await axios.get('http://publishing-api:3000/published-content');
-    const contents = response.data.contents;
+    const contents = await fetchPublishedContent();
     
     // Clear existing index
     searchIndex.documents = {};
-    searchIndex.tokenizedIndex = {};
+    searchIndex.postings = new Map();
+    searchIndex.fieldLengthTotals = emptyFieldCounts();
     
     // Build new index
     contents.forEach(content => {
       indexDocument(content);
     });
+    indexChanged();
     
     lastIndexedTime = new Date();
+    lastIndexError = null;
     console.log('Search index built with', Object.keys(searchIndex.documents).length, 'documents');
+    await writeSnapshot();
   } catch (error) {
+    lastIndexError = error.message;
     console.error('Failed to build search index:', error.message);
+  } finally {
+    indexing = false;
+    runQueuedRebuild();
   }
 }
 
-// Helper to add or update a document in the index
-function indexDocument(content) {
-  // Create searchable text based on content type
-  let searchableText = content.title + ' ';
-  
-  if (content.document_type === 'simple-page') {
-    searchableText += content.body;
-  } else if (content.document_type === 'guide') {
-    searchableText += content.introduction + ' ';
-    content.parts.forEach(part => {
-      searchableText += part.title + ' ' + part.body + ' ';
+function runQueuedRebuild() {
+  if (rebuildQueued) {
+    rebuildQueued = false;
+    setImmediate(buildSearchIndex);
+  }
+}
+
+// Bring the index up to date with the Publishing API, re-indexing only the
+// items that changed and dropping those no longer live. This is how an index
+// loaded from a snapshot catches up, and catches anything a lost webhook
+// event missed.
+async function syncSearchIndex() {
+  if (indexing) return;
+  indexing = true;
+  try {
+    const contents = await fetchPublishedContent();
+    const live = new Set();
+    let updated = 0;
+    let removed = 0;
+    
+    contents.forEach(content => {
+      const id = String(content.content_id || content._id);
+      live.add(id);
+      const doc = searchIndex.documents[id];
+      if (!doc || doc.digest !== contentDigest(content)) {
+        indexDocument(content);
+        updated++;
+      }
     });
+    Object.keys(searchIndex.documents).filter(id => !live.has(id)).forEach(id => {
+      removeDocument(id);
+      removed++;
+    });
+    
+    lastIndexedTime = new Date();
+    lastIndexError = null;
+    console.log(`Search index synced: ${updated} updated, ${removed} removed`);
+    await writeSnapshot();
+  } catch (error) {
+    lastIndexError = error.message;
+    console.error('Failed to sync search index:', error.message);
+  } finally {
+    indexing = false;
+    runQueuedRebuild();
   }
+}
+
+// Save the index to the snapshot file, if it changed since it was last saved
+async function writeSnapshot() {
+  clearTimeout(snapshotStatus.pending);
+  snapshotStatus.pending = null;
+  if (!SNAPSHOT_FILE || !snapshotStatus.changed) return;
   
-  // Remove old document from tokenized index if it exists
-  if (searchIndex.documents[content._id]) {
-    const oldTokens = tokenizeText(searchIndex.documents[content._id].text);
-    oldTokens.forEach(token => {
-      if (searchIndex.tokenizedIndex[token]) {
-        searchIndex.tokenizedIndex[token].delete(content._id);
-        
-        // Clean up empty token entries
-        if (searchIndex.tokenizedIndex[token].size === 0) {
-          delete searchIndex.tokenizedIndex[token];
-        }
-      }
+  snapshotStatus.changed = false;
+  try {
+    snapshotStatus.savedAt = await saveSnapshot(SNAPSHOT_FILE, {
+      searchIndex,
+      schemas: documentSchemas,
+      analyzer,
+      indexedAt: lastIndexedTime
     });
+  } catch (error) {
+    snapshotStatus.changed = true;
+    console.error('Failed to save search index snapshot:', error.message);
   }
+}
+
+// Load the index from the snapshot file, returning whether there was a
+// usable one
+function restoreSnapshot() {
+  if (!SNAPSHOT_FILE) return false;
+  const snapshot = loadSnapshot(SNAPSHOT_FILE, analyzer);
+  if (!snapshot) return false;
+  
+  Object.assign(searchIndex, snapshot.searchIndex);
+  documentSchemas = snapshot.schemas || {};
+  suggestionIndex = null;
+  snapshotStatus.loadedAt = new Date();
+  snapshotStatus.savedAt = snapshot.savedAt;
+  console.log(`Loaded search index snapshot from ${snapshot.savedAt.toISOString()} with`, 
+    Object.keys(searchIndex.documents).length, 'documents');
+  return true;
+}
+
+// Helper to add or update a document in the index
+function indexDocument(content) {
+  // Key documents by content_id so a new edition replaces the previous one
+  const id = content.content_id || content._id;
+  
+  // Split the text into the fields used for ranking, as the content type's
+  // schema declares them
+  const { fieldTexts, text, sections } = extractSearchFields(content, documentSchemas[content.document_type]);
+  
+  // Remove old document from the index if it exists
+  removeDocument(id);
+  
+  // Record where each token appears in each field
+  const termPositions = Object.create(null);
+  const fieldLengths = emptyFieldCounts();
+  SEARCH_FIELDS.forEach(field => {
+    const tokens = analyzer.analyze(fieldTexts[field], 'index');
+    fieldLengths[field] = tokens.length;
+    tokens.forEach(({ term, position }) => {
+      if (!termPositions[term]) termPositions[term] = {};
+      const positions = termPositions[term][field] || (termPositions[term][field] = []);
+      // A word that is also its own synonym term is only recorded once
+      if (positions[positions.length - 1] !== position) positions.push(position);
+    });
+  });
+  
+  // Pages this one links to, which makes them more popular as suggestions
+  const links = content.expanded_links || {};
+  const linksTo = [...(links.parent || []), ...(links.related_items || [])].map(link => link.content_id);
   
   // Store the document
-  searchIndex.documents[content._id] = {
-    id: content._id,
+  searchIndex.documents[id] = {
+    id,
     path: content.path,
     title: content.title,
     type: content.document_type,
-    text: searchableText.toLowerCase(),
-    updatedAt: content.updatedAt
+    text: text.toLowerCase(),
+    sections,
+    // When readers last saw a change: the live edition's publish date, so
+    // drafts saved since don't count. Filtered, counted and sorted on.
+    updatedAt: content.publishedAt || content.updatedAt,
+    facets: documentFacets(content),
+    linksTo,
+    digest: contentDigest(content),
+    fieldLengths,
+    terms: Object.keys(termPositions)
   };
   
-  // Tokenize the text and add to inverted index
-  const tokens = tokenizeText(searchableText);
-  const uniqueTokens = [...new Set(tokens)];
+  // Add the document to the inverted index
+  Object.entries(termPositions).forEach(([token, positions]) => {
+    if (!searchIndex.postings.has(token)) {
+      searchIndex.postings.set(token, new Map());
+    }
+    searchIndex.postings.get(token).set(id, positions);
+  });
+  
+  SEARCH_FIELDS.forEach(field => { searchIndex.fieldLengthTotals[field] += fieldLengths[field]; });
+  indexChanged();
+}
+
+// Helper to remove a document and its tokens from the index
+function removeDocument(id) {
+  const doc = searchIndex.documents[id];
+  if (!doc) {
+    return false;
+  }
   
-  uniqueTokens.forEach(token => {
-    if (!searchIndex.tokenizedIndex[token]) {
-      searchIndex.tokenizedIndex[token] = new Set();
+  doc.terms.forEach(token => {
+    const postings = searchIndex.postings.get(token);
+    if (postings) {
+      postings.delete(id);
+      
+      // Clean up empty token entries
+      if (postings.size === 0) {
+        searchIndex.postings.delete(token);
+      }
     }
-    searchIndex.tokenizedIndex[token].add(content._id);
   });
+  
+  SEARCH_FIELDS.forEach(field => { searchIndex.fieldLengthTotals[field] -= doc.fieldLengths[field]; });
+  delete searchIndex.documents[id];
+  indexChanged();
+  return true;
 }
 
-// Incremental index update
-async function incrementalIndexUpdate() {
-  try {
-    if (!lastIndexedTime) {
-      return buildSearchIndex();
+// Collection statistics BM25 needs, from the current index
+function rankingStats() {
+  const documentCount = Object.keys(searchIndex.documents).length;
+  const averageFieldLengths = {};
+  SEARCH_FIELDS.forEach(field => {
+    averageFieldLengths[field] = documentCount > 0 ? searchIndex.fieldLengthTotals[field] / documentCount : 0;
+  });
+  
+  return {
+    documentCount,
+    averageFieldLengths,
+    documentFrequency: (token) => (searchIndex.postings.get(token) || new Map()).size
+  };
+}
+
+// IDs of the documents containing a token, in one field or in any
+function documentsWithTerm(token, field) {
+  const postings = searchIndex.postings.get(token) || new Map();
+  if (!field) return new Set(postings.keys());
+  return new Set([...postings].filter(([, positions]) => positions[field]).map(([id]) => id));
+}
+
+const intersect = (a, b) => new Set([...a].filter(id => b.has(id)));
+
+// Whether a document has a phrase's tokens next to each other in one of the fields
+function hasPhrase(id, tokens, fields) {
+  return fields.some(field => {
+    const positions = tokens.map(({ term }) => searchIndex.postings.get(term).get(id)[field] || []);
+    return positions[0].some(start => tokens.every((token, index) =>
+      positions[index].includes(start + token.position - tokens[0].position)));
+  });
+}
+
+// Whether a document passes a type: or path: filter. Paths match by prefix.
+function matchesFilter(doc, { field, value }) {
+  if (field === 'type') return doc.type === value.toLowerCase();
+  return doc.path.startsWith(value.replace(/^\//, ''));
+}
+
+// IDs of the documents matching a parsed query, or null where the query
+// has nothing to search for, such as only stop words
+function matchQuery(node) {
+  switch (node.type) {
+    case 'text': {
+      const tokens = analyzer.terms(node.text, 'query');
+      if (tokens.length === 0) return null;
+      return tokens.map(token => documentsWithTerm(token, node.field)).reduce(intersect);
     }
+    case 'phrase': {
+      const tokens = analyzer.analyze(node.text, 'phrase');
+      if (tokens.length === 0) return null;
+      const candidates = tokens.map(({ term }) => documentsWithTerm(term, node.field)).reduce(intersect);
+      const fields = node.field ? [node.field] : SEARCH_FIELDS;
+      return new Set([...candidates].filter(id => hasPhrase(id, tokens, fields)));
+    }
+    case 'filter':
+      return new Set(Object.values(searchIndex.documents).filter(doc => matchesFilter(doc, node)).map(doc => doc.id));
+    case 'or': {
+      const matches = node.children.map(matchQuery).filter(Boolean);
+      if (matches.length === 0) return null;
+      return new Set(matches.flatMap(ids => [...ids]));
+    }
+    case 'and': {
+      const matches = node.children.filter(child => child.type !== 'not').map(matchQuery).filter(Boolean);
+      if (matches.length === 0) return null;
+      let ids = matches.reduce(intersect);
+      node.children.filter(child => child.type === 'not').forEach(({ child }) => {
+        const excluded = matchQuery(child);
+        if (excluded) ids = new Set([...ids].filter(id => !excluded.has(id)));
+      });
+      return ids;
+    }
+    default:
+      return null;
+  }
+}
+
+// The tokens a parsed query searches for, for ranking and highlighting.
+// Excluded words and filters don't count.
+function positiveTerms(node, tokens = []) {
+  if (node.type === 'text') tokens.push(...analyzer.terms(node.text, 'query'));
+  if (node.type === 'phrase') tokens.push(...analyzer.terms(node.text, 'phrase'));
+  if (node.type === 'and' || node.type === 'or') node.children.forEach(child => positiveTerms(child, tokens));
+  return tokens;
+}
+
+// A respelt query for a search with few results, if it finds more. Only
+// words with no indexed terms are respelt.
+function spellingSuggestion(query, matchCount) {
+  const isKnown = (word) => analyzer.terms(word, 'query').every(token => searchIndex.postings.has(token));
+  const suggestion = correctQuery(suggestions(), query, isKnown);
+  if (!suggestion) return null;
+  
+  let parsed;
+  try {
+    parsed = parseQuery(suggestion.query);
+  } catch (error) {
+    return null;
+  }
+  const matches = parsed && matchQuery(parsed);
+  return matches && matches.size > matchCount ? suggestion : null;
+}
+
+// Re-index one content item from its current live edition, or drop it if
+// it is no longer live or has been redirected or removed
+async function refreshDocument(contentId, path) {
+  try {
+    const response = await axios.get(`http://publishing-api:3000/published-content/${encodeURIComponent(path)}`);
+    const content = response.data.content;
     
-    console.log('Performing incremental index update...');
-    
-    // Query for content updated since last indexing
-    const timeQuery = lastIndexedTime.toISOString();
-    const response = await axios.get(`http://publishing-api:3000/content`);
-    const allContent = response.data.contents;
-    
-    // Filter locally by updatedAt (since publishing API doesn't support query params)
-    const updatedContents = allContent.filter(content => {
-      return new Date(content.updatedAt) > lastIndexedTime && content.state === 'published';
-    });
-    
-    if (updatedContents.length === 0) {
-      console.log('No new or updated content to index');
+    if (content.state === 'unpublished' && content.unpublishing.type !== 'withdrawn') {
+      removeDocument(content.content_id);
+      console.log(`Removed "${path}" from index`);
       return;
     }
     
-    console.log(`Updating index with ${updatedContents.length} changed documents`);
-    
-    // Update index for each changed document
-    updatedContents.forEach(content => {
-      indexDocument(content);
-    });
-    
-    lastIndexedTime = new Date();
-    console.log('Index incrementally updated');
+    if (!documentSchemas[content.document_type]) {
+      await loadDocumentSchemas();
+    }
+    indexDocument(content);
+    console.log(`Indexed "${path}"`);
   } catch (error) {
-    console.error('Failed to update search index:', error.message);
+    if (error.response && error.response.status === 404) {
+      removeDocument(contentId);
+      console.log(`Removed "${path}" from index`);
+      return;
+    }
+    throw error;
   }
 }
 
+// Unsigned webhook deliveries are refused unless the operator opts in with
+// ALLOW_UNSIGNED_EVENTS=true, e.g. for local development without a
+// WEBHOOK_SECRET. Otherwise anyone could send publishing events.
+const ALLOW_UNSIGNED_EVENTS = process.env.ALLOW_UNSIGNED_EVENTS === 'true';
+
+if (!process.env.WEBHOOK_SECRET) {
+  console.warn(ALLOW_UNSIGNED_EVENTS
+    ? 'WEBHOOK_SECRET is not set; accepting unsigned events because ALLOW_UNSIGNED_EVENTS is true'
+    : 'WEBHOOK_SECRET is not set; events from the Publishing API will be refused until it is');
+}
+
+// Check the signature on a webhook delivery from the Publishing API. Without
+// a WEBHOOK_SECRET configured, deliveries aren't signed, and are only
+// accepted with ALLOW_UNSIGNED_EVENTS.
+function hasValidSignature(req) {
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) return ALLOW_UNSIGNED_EVENTS;
+  
+  const signature = req.get('X-Publishing-Signature') || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+  return signature.length === expected.length && 
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Webhook for Publishing API events. The item's current state is fetched
+// rather than taken from the event, so late or repeated deliveries are safe.
+app.post('/events', async (req, res) => {
+  if (!hasValidSignature(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+  
+  const { event, data } = req.body;
+  if (!data || !data.path) {
+    return res.status(400).json({ success: false, error: 'Event data with a path is required' });
+  }
+  // Links matter too, for the organisation and taxon facets
+  if (!['published', 'unpublished', 'links_changed'].includes(event)) {
+    return res.json({ success: true, ignored: true });
+  }
+  
+  try {
+    await refreshDocument(data.content_id, data.path);
+    res.json({ success: true });
+  } catch (error) {
+    // A failure makes the Publishing API retry the delivery later
+    console.error(`Failed to refresh "${data.path}" in index:`, error.message);
+    res.status(503).json({ success: false, error: error.message });
+  }
+});
+
 // Search API endpoint
 app.get('/search', (req, res) => {
-  const query = (req.query.q || '').toLowerCase();
-  const page = parseInt(req.query.page) || 1;
-  const pageSize = parseInt(req.query.pageSize) || 10;
-  const type = req.query.type || null;
+  const startedAt = process.hrtime.bigint();
+  const query = req.query.q || '';
+  const page = req.query.page ? Number(req.query.page) : 1;
+  const pageSize = req.query.pageSize ? Number(req.query.pageSize) : DEFAULT_PAGE_SIZE;
+  const sort = req.query.sort || 'relevance';
+  // debug=true adds each result's score breakdown; boosts=title:5,body:1
+  // overrides field boosts for this search, for tuning
+  const debug = req.query.debug === 'true';
+  const boosts = parseBoosts(req.query.boosts, fieldBoosts);
+  
+  // Log the search for analytics, with how many results it found and
+  // showed, and return its id so clicks on its results can be tied to it.
+  // Debugging searches aren't logged.
+  const logSearch = (hits, shown, details = {}) => {
+    if (debug) return undefined;
+    const id = crypto.randomBytes(8).toString('hex');
+    recordEvent({
+      type: 'search',
+      id,
+      at: new Date().toISOString(),
+      query: normaliseQuery(query),
+      hits,
+      shown,
+      filters: searchFilters(req.query),
+      sort,
+      page,
+      pageSize,
+      latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ...details
+    });
+    return id;
+  };
+  
+  // Filters by type, organisation, taxon and date updated
+  const { filters, error: filterError } = parseFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ success: false, error: filterError });
+  }
+  if (!SORT_ORDERS[sort]) {
+    return res.status(400).json({ success: false, error: `sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}` });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ success: false, error: 'page must be a whole number from 1' });
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.status(400).json({ success: false, error: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+  }
   
   if (!query) {
     return res.json({ 
@@ -199,11 +808,24 @@ app.get('/search', (req, res) => {
     });
   }
   
-  // Break the query into tokens
-  const queryTokens = tokenizeText(query);
-  if (queryTokens.length === 0) {
+  // Parse the query language: phrases, OR, exclusions and field filters
+  let parsedQuery;
+  try {
+    parsedQuery = parseQuery(query);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      logSearch(0, 0, { invalid: true });
+      return res.status(400).json({ success: false, error: error.message, position: error.position });
+    }
+    throw error;
+  }
+  
+  // Find matching document IDs from the token index
+  const matchingIds = parsedQuery && matchQuery(parsedQuery);
+  if (!matchingIds) {
     return res.json({ 
       results: [], 
+      searchId: logSearch(0, 0),
       total: 0, 
       page, 
       pageSize, 
@@ -211,80 +833,83 @@ app.get('/search', (req, res) => {
     });
   }
   
-  // Find matching document IDs from the token index
-  let matchingIds = new Set();
-  let isFirstToken = true;
+  // Words searched for, analysed the same way content is, for ranking
+  const queryTokens = [...new Set(positiveTerms(parsedQuery))];
   
-  queryTokens.forEach(token => {
-    const matchingDocsForToken = searchIndex.tokenizedIndex[token] || new Set();
-    
-    if (isFirstToken) {
-      matchingIds = new Set(matchingDocsForToken);
-      isFirstToken = false;
-    } else {
-      // Intersection with previous results (AND logic)
-      matchingIds = new Set(
-        [...matchingIds].filter(id => matchingDocsForToken.has(id))
-      );
-    }
+  // Suggest a respelling when little was found
+  const suggestion = matchingIds.size < SPELLING_SUGGESTION_THRESHOLD
+    ? spellingSuggestion(query, matchingIds.size)
+    : null;
+  
+  // Editors' bets for this query: pinned pages are included whether they
+  // match or not, and hidden ones are left out
+  const bets = betsForQuery(bestBets, query, analyzer);
+  const candidateIds = new Set(matchingIds);
+  Object.values(searchIndex.documents).forEach(doc => {
+    if (bets.pinned.has(doc.path)) candidateIds.add(doc.id);
+    if (bets.hidden.has(doc.path)) candidateIds.delete(doc.id);
   });
   
-  // Convert to array of documents and calculate relevance
-  let results = [...matchingIds]
-    .map(id => {
-      const doc = searchIndex.documents[id];
-      
-      // Skip if type filter doesn't match
-      if (type && doc.type !== type) {
-        return null;
-      }
-      
-      // Calculate relevance score
-      const titleText = doc.title.toLowerCase();
-      let relevance = 0;
+  // Apply the filters, counting what each facet's values would give
+  const { docs, facets } = applyFacets([...candidateIds].map(id => searchIndex.documents[id]), filters);
+  
+  // Calculate relevance for the documents left
+  const stats = rankingStats();
+  const ranked = docs
+    .map(doc => {
+      const id = doc.id;
       
-      // Title matches are more important
+      // Calculate the BM25 relevance score from this document's term
+      // frequencies. With OR, not every token has to be in the document.
+      const termFrequencies = Object.create(null);
       queryTokens.forEach(token => {
-        if (titleText.includes(token)) {
-          relevance += 3;
-          if (titleText.startsWith(token)) {
-            relevance += 2;
-          }
-        }
-        
-        // Full text matches
-        if (doc.text.includes(token)) {
-          relevance += 1;
-        }
+        const positions = (searchIndex.postings.get(token) || new Map()).get(id);
+        if (!positions) return;
+        termFrequencies[token] = {};
+        Object.entries(positions).forEach(([field, list]) => { termFrequencies[token][field] = list.length; });
       });
-      
-      if (relevance === 0) {
-        return null;
-      }
-      
-      // Generate text snippet with context around search terms
-      const snippet = generateSnippet(doc.text, queryTokens);
+      const { score, terms } = scoreDocument(doc, termFrequencies, queryTokens, stats, boosts);
       
       return {
         id: doc.id,
         title: doc.title,
         path: doc.path,
         type: doc.type,
-        snippet,
         updatedAt: doc.updatedAt,
-        relevance
+        relevance: score,
+        ...(debug ? { explain: { score, fieldLengths: doc.fieldLengths, terms } } : {})
       };
     })
-    .filter(item => item !== null) // Remove null items (non-matching type filter)
-    .sort((a, b) => b.relevance - a.relevance); // Sort by relevance score
+    .sort((a, b) => SORT_ORDERS[sort](a, b) || b.relevance - a.relevance);
+  // Pinned and demoted results are marked, and only moved when sorting by relevance
+  const results = applyBestBets(ranked, bets, sort === 'relevance');
   
   // Apply pagination
   const total = results.length;
   const startIndex = (page - 1) * pageSize;
-  const paginatedResults = results.slice(startIndex, startIndex + pageSize);
+  const paginatedResults = results.slice(startIndex, startIndex + pageSize).map(result => {
+    // Generate text snippet with context around search terms, and say where
+    // the matching words are so they can be highlighted
+    const doc = searchIndex.documents[result.id];
+    const snippet = generateSnippet(doc.text, queryTokens);
+    return {
+      ...result,
+      part: bestSection(doc, queryTokens),
+      snippet,
+      highlights: {
+        title: highlightRanges(result.title, queryTokens),
+        snippet: highlightRanges(snippet, queryTokens)
+      }
+    };
+  });
   
   res.json({ 
     results: paginatedResults, 
+    searchId: logSearch(total, paginatedResults.length),
+    facets,
+    sort,
+    ...(suggestion ? { suggestion } : {}),
+    ...(debug ? { query: parsedQuery, ranking: { boosts, averageFieldLengths: stats.averageFieldLengths, documentCount: stats.documentCount } } : {}),
     total,
     page,
     pageSize,
@@ -292,31 +917,312 @@ app.get('/search', (req, res) => {
   });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Autocomplete: titles completing what has been typed, best first
+app.get('/suggest', (req, res) => {
+  const text = req.query.q || '';
+  const limit = Math.min(parseInt(req.query.limit) || 8, MAX_SUGGESTIONS);
+  
   res.json({
-    status: 'ok',
-    documents: Object.keys(searchIndex.documents).length,
-    lastIndexed: lastIndexedTime?.toISOString() || null
+    query: text,
+    suggestions: completeTitle(suggestions(), searchIndex.documents, text, limit)
   });
 });
 
-// Initial setup
-async function initializeSearchAPI() {
-  // Build initial index
-  await buildSearchIndex();
+// API to record a click on a search result, with the search it came from
+// and the result's rank, counting from 1 across all pages. The search must
+// be a logged one, and the rank one of the results it showed.
+app.post('/analytics/clicks', (req, res) => {
+  const { searchId, path, rank } = req.body;
+  const errors = [];
+  if (!path) {
+    errors.push({ field: 'path', message: 'is required' });
+  }
+  const search = searchId ? findSearch(String(searchId)) : null;
+  if (!search) {
+    errors.push({ field: 'searchId', message: searchId ? "isn't a logged search" : 'is required' });
+  }
+  if (!Number.isInteger(Number(rank)) || Number(rank) < 1) {
+    errors.push({ field: 'rank', message: 'must be a whole number from 1' });
+  } else if (search) {
+    const first = (search.page - 1) * search.pageSize + 1;
+    const last = first + search.shown - 1;
+    if (Number(rank) < first || Number(rank) > last) {
+      errors.push({ 
+        field: 'rank', 
+        message: search.shown > 0 ? `must be from ${first} to ${last}, the results the search showed` : "can't be clicked, as the search showed no results" 
+      });
+    }
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+      errors 
+    });
+  }
   
-  // Schedule incremental updates every minute
-  setInterval(incrementalIndexUpdate, 1 * 60 * 1000);
+  recordEvent({
+    type: 'click',
+    at: new Date().toISOString(),
+    searchId: search.id,
+    path: normalisePath(path),
+    rank: Number(rank)
+  });
+  res.json({ success: true });
+});
+
+// How healthy the index is:
+// - degraded: nothing to search yet, as neither a snapshot nor the
+//   Publishing API has provided the content
+// - stale: serving a snapshot not yet brought up to date, or not checked
+//   against the Publishing API for a while
+// - ok: up to date
+function indexHealth() {
+  if (!lastIndexedTime && !snapshotStatus.loadedAt) return 'degraded';
+  if (!lastIndexedTime || Date.now() - lastIndexedTime.getTime() > STALE_AFTER) return 'stale';
+  return 'ok';
+}
+
+// The Publishing API user whose token a request carries, or null if it has
+// none or it isn't valid
+async function requestUser(req) {
+  const authorization = req.get('Authorization');
+  if (!authorization) return null;
   
-  // Schedule full rebuild every hour
-  setInterval(buildSearchIndex, 60 * 60 * 1000);
+  try {
+    const response = await axios.get('http://publishing-api:3000/sessions/current', {
+      headers: { Authorization: authorization }
+    });
+    return response.data.user;
+  } catch (error) {
+    if (error.response && [401, 403].includes(error.response.status)) return null;
+    throw error;
+  }
+}
+
+// Middleware allowing only Publishing API users with at least a role, who
+// are put on req.user
+function requireRole(role) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await requestUser(req);
+    } catch (error) {
+      return res.status(503).json({ success: false, error: `Couldn't check permissions: ${error.message}` });
+    }
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Sign in with a Publishing API token' });
+    }
+    if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ success: false, error: `This needs ${role} rights` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// API to rebuild the whole index from the Publishing API, for admins. The
+// rebuild runs in the background; /health says when it has finished.
+app.post('/admin/rebuild', requireRole('admin'), (req, res) => {
+  const queued = indexing;
+  buildSearchIndex();
+  res.status(202).json({ 
+    success: true, 
+    message: queued ? 'Rebuild will start when the current update finishes' : 'Rebuild started' 
+  });
+});
+
+// API to report on searches between two dates: top queries, queries with
+// no results and click-through rate by rank
+app.get('/analytics/report', requireRole('publisher'), (req, res) => {
+  const { range, error } = parseDateRange(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_REPORT_QUERIES);
   
-  // Start the server
+  res.json({ success: true, report: buildReport(analyticsEvents, range, limit) });
+});
+
+// Check a best bet's fields, that its query searches for something and that
+// its page is in the index
+function bestBetErrors(data, isNew) {
+  const errors = validateBestBet(data, isNew);
+  if (data.query && analyzer.terms(data.query, 'query').length === 0) {
+    errors.push({ field: 'query', message: 'only has words too common to search for' });
+  }
+  if (data.path && !errors.some(({ field }) => field === 'path')) {
+    const path = normalisePath(data.path);
+    if (!Object.values(searchIndex.documents).some(doc => doc.path === path)) {
+      errors.push({ field: 'path', message: `${path} isn't a page in the search index` });
+    }
+  }
+  return errors;
+}
+
+// Change the bets and save them. change is given the bets as they are when
+// its turn comes, so changes made at the same time don't undo each other,
+// and returns the new list, or { status, error } to refuse. The change only
+// takes effect once saved. Resolves to the refusal, if there was one.
+function changeBestBets(change) {
+  return writeBestBets(async () => {
+    const bets = change(bestBets);
+    if (!Array.isArray(bets)) return bets;
+    await saveBestBets(BEST_BETS_FILE, bets);
+    bestBets = bets;
+    return null;
+  });
+}
+
+// A refusal for a bet that would duplicate another
+const duplicateBet = (bestBet) => ({
+  status: 409,
+  error: `There is already a bet on ${bestBet.path} for "${bestBet.query}"`
+});
+
+// API to list best and worst bets, ordered by query
+app.get('/best-bets', requireRole('writer'), (req, res) => {
+  const bets = [...bestBets].sort((a, b) => a.query.localeCompare(b.query) || 
+    a.kind.localeCompare(b.kind) || (a.position || 0) - (b.position || 0));
+  res.json({ success: true, bestBets: bets });
+});
+
+// API to add a best or worst bet
+app.post('/best-bets', requireRole('publisher'), async (req, res) => {
+  try {
+    const errors = bestBetErrors(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    const bestBet = createBestBet(req.body, req.user);
+    const refusal = await changeBestBets(bets => (bets.some(bet => sameBet(bet, bestBet, analyzer))
+      ? duplicateBet(bestBet)
+      : [...bets, bestBet]));
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    res.json({ success: true, bestBet });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to change a bet's query, page, position, action or comment
+app.patch('/best-bets/:id', requireRole('publisher'), async (req, res) => {
+  try {
+    const errors = bestBetErrors(req.body, false);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(({ field, message }) => `${field} ${message}`).join(', '), 
+        errors 
+      });
+    }
+    
+    let bestBet;
+    const refusal = await changeBestBets(bets => {
+      const existing = bets.find(bet => bet.id === req.params.id);
+      if (!existing) {
+        return { status: 404, error: 'Best bet not found' };
+      }
+      bestBet = updateBestBet(existing, req.body, req.user);
+      if (bets.some(bet => sameBet(bet, bestBet, analyzer))) {
+        return duplicateBet(bestBet);
+      }
+      return bets.map(bet => (bet.id === bestBet.id ? bestBet : bet));
+    });
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    res.json({ success: true, bestBet });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API to remove a bet
+app.delete('/best-bets/:id', requireRole('publisher'), async (req, res) => {
+  try {
+    await changeBestBets(bets => bets.filter(bet => bet.id !== req.params.id));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health check endpoint. Answers 503 while there's nothing to search.
+app.get('/health', (req, res) => {
+  const status = indexHealth();
+  res.status(status === 'degraded' ? 503 : 200).json({
+    status,
+    documents: Object.keys(searchIndex.documents).length,
+    analysis: { ...analyzer.settings, fingerprint: analyzer.fingerprint },
+    lastIndexed: lastIndexedTime?.toISOString() || null,
+    lastError: lastIndexError,
+    indexing,
+    snapshot: SNAPSHOT_FILE ? {
+      file: SNAPSHOT_FILE,
+      loadedAt: snapshotStatus.loadedAt?.toISOString() || null,
+      savedAt: snapshotStatus.savedAt?.toISOString() || null
+    } : null
+  });
+});
+
+// Initial setup
+function initializeSearchAPI() {
+  // Start the server straight away; searches are answered from the snapshot,
+  // or return nothing until the first build, which /health reports
   app.listen(3003, () => {
     console.log('Search API running on port 3003');
   });
+  
+  // Start from the snapshot and catch up on what changed since, or build
+  // the index from scratch without one
+  if (restoreSnapshot()) {
+    syncSearchIndex();
+  } else {
+    buildSearchIndex();
+  }
+  
+  // Content has to be analysed again when the analysis settings change
+  watchAnalyzer(analyzer, (changed) => {
+    console.log('Analysis settings changed, rebuilding search index');
+    analyzer = changed;
+    buildSearchIndex();
+  });
+  
+  // The index is kept up to date by webhook events from the Publishing API.
+  // A sync every 30 minutes catches anything a lost event missed, including
+  // content that has since been removed.
+  setInterval(syncSearchIndex, SYNC_INTERVAL);
+  
+  // If the Publishing API wasn't up yet, keep trying every minute until the
+  // index has been brought up to date once
+  const retryFirstSync = setInterval(() => {
+    if (lastIndexedTime) {
+      clearInterval(retryFirstSync);
+    } else {
+      syncSearchIndex();
+    }
+  }, 60 * 1000);
+  
+  // Drop analytics past their retention period once a day
+  pruneAnalytics();
+  setInterval(pruneAnalytics, DAY);
+  
+  // Save any unsaved changes before stopping
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, async () => {
+    await writeSnapshot();
+    process.exit(0);
+  }));
 }
 
 // Start the application
-initializeSearchAPI();
\ No newline at end of file
+initializeSearchAPI();
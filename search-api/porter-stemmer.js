@@ -0,0 +1,103 @@
+// English stemmer, following Martin Porter's 1980 algorithm
+// (https://tartarus.org/martin/PorterStemmer/). Words are expected in lower
+// case; words shorter than three letters are left alone.
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonants = `${consonant}[^aeiouy]*`;
+const vowels = `${vowel}[aeiou]*`;
+
+// Measures of how many vowel-consonant sequences a stem has
+const MEASURE_ABOVE_0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const MEASURE_EQUALS_1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+const MEASURE_ABOVE_1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+const HAS_VOWEL = new RegExp(`^(${consonants})?${vowel}`);
+// Consonant-vowel-consonant ending, where the last consonant isn't w, x or y
+const ENDS_CVC = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+function stem(word) {
+  if (word.length < 3) return word;
+
+  // A leading y acts as a consonant
+  const leadingY = word[0] === 'y';
+  let w = leadingY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_ABOVE_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y to i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Step 2: double suffixes to single ones
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_ABOVE_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness and so on
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_ABOVE_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remove remaining suffixes from long stems
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_ABOVE_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_ABOVE_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5: tidy up a final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_ABOVE_1.test(base) || (MEASURE_EQUALS_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_ABOVE_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return leadingY ? `y${w.slice(1)}` : w;
+}
+
+module.exports = { stem };
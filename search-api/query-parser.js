@@ -0,0 +1,208 @@
+// Search query language. Bare words must all match; on top of that:
+// - "child benefit" matches the words as an exact phrase
+// - passport OR visa matches either side; OR binds more loosely than the
+//   implied AND, so brackets group, as in (passport OR visa) renewal
+// - -renewal and -"tax credits" exclude matches
+// - title:passport matches in titles only, type:guide filters by document
+//   type and path:driving filters to paths starting with driving
+//
+// parseQuery turns a query into a tree of nodes:
+// - { type: 'text', field, text }: words that must all match, in `field` or anywhere
+// - { type: 'phrase', field, text }: words that must match next to each other
+// - { type: 'filter', field, value }: a type: or path: filter
+// - { type: 'not', child }: excludes what child matches
+// - { type: 'and', children } and { type: 'or', children }
+// Malformed queries throw a QueryError saying what is wrong and where.
+
+// Fields that can qualify a word or phrase, as in title:passport
+const QUERY_FIELDS = ['title', 'type', 'path'];
+
+class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// Characters that end a word
+const WORD_END = /[\s()"]/;
+
+// Split a query into brackets, OR, exclusions, field qualifiers, phrases and
+// words, each with where it starts in the query
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new QueryError(`The quote at character ${position + 1} is never closed. Add a closing " to end the phrase.`, position);
+      }
+      tokens.push({ type: 'phrase', text: query.slice(index + 1, end), position });
+      index = end + 1;
+    } else if (char === '-') {
+      const following = query[index + 1];
+      if (following === undefined || (WORD_END.test(following) && following !== '"' && following !== '(')) {
+        throw new QueryError(`The "-" at character ${position + 1} needs a word or phrase straight after it to exclude, as in -renewal.`, position);
+      }
+      tokens.push({ type: 'not', position });
+      index++;
+    } else {
+      let end = index;
+      while (end < query.length && !WORD_END.test(query[end])) end++;
+      const word = query.slice(index, end);
+      index = end;
+
+      const qualifier = /^([a-z]+):(.*)$/i.exec(word);
+      const field = qualifier && qualifier[1].toLowerCase();
+      if (word === 'OR') {
+        tokens.push({ type: 'or', position });
+      } else if (word === 'AND') {
+        // AND is what words do anyway, so it's allowed but adds nothing
+      } else if (qualifier && QUERY_FIELDS.includes(field)) {
+        tokens.push({ type: 'field', field, position });
+        if (qualifier[2]) {
+          tokens.push({ type: 'word', text: qualifier[2], position: position + field.length + 1 });
+        } else if (query[index] !== '"') {
+          throw new QueryError(`"${field}:" at character ${position + 1} needs a value straight after it, as in ${field}:${field === 'type' ? 'guide' : 'passport'}.`, position);
+        }
+      } else {
+        // Anything else with a colon, such as a time or a web address, is
+        // searched for as ordinary words
+        tokens.push({ type: 'word', text: word, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Parse a query into a tree of nodes, or null for a query with nothing in it
+function parseQuery(query) {
+  const tokens = tokenize(String(query || ''));
+  if (tokens.length === 0) return null;
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  // Alternatives separated by OR
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      const or = next();
+      if (!peek() || peek().type === 'or' || peek().type === ')') {
+        throw new QueryError(`"OR" at character ${or.position + 1} needs something to search for after it.`, or.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  // Everything up to the next OR or closing bracket, which must all match
+  function parseAnd() {
+    const start = peek();
+    const children = [];
+    // Keep runs of bare words together, so synonyms of several words such
+    // as "value added tax" are still recognised
+    let previousWasWord = false;
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      const isWord = peek().type === 'word';
+      const node = parseUnary();
+      if (isWord && previousWasWord) {
+        children[children.length - 1].text += ` ${node.text}`;
+      } else {
+        children.push(node);
+      }
+      previousWasWord = isWord;
+    }
+
+    if (children.length === 0) {
+      if (start && start.type === 'or') {
+        throw new QueryError(`"OR" at character ${start.position + 1} needs something to search for before it.`, start.position);
+      }
+      const position = start ? start.position : 0;
+      throw new QueryError(`Expected something to search for at character ${position + 1}.`, position);
+    }
+    if (children.every(child => child.type === 'not')) {
+      throw new QueryError('Excluding words only narrows a search down. Add a word to search for as well, as in passport -renewal.', start.position);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', child: parsePrimary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new QueryError('The query ends where a word or phrase was expected.', query.length);
+    }
+
+    switch (token.type) {
+      case '(': {
+        if (peek() && peek().type === ')') {
+          throw new QueryError(`The brackets at character ${token.position + 1} have nothing in them.`, token.position);
+        }
+        const node = parseOr();
+        if (!peek() || peek().type !== ')') {
+          throw new QueryError(`The bracket at character ${token.position + 1} is never closed. Add a ")" to end the group.`, token.position);
+        }
+        next();
+        return node;
+      }
+      case ')':
+        throw new QueryError(`The ")" at character ${token.position + 1} doesn't close an opening bracket.`, token.position);
+      case 'or':
+        throw new QueryError(`"OR" at character ${token.position + 1} needs something to search for before it.`, token.position);
+      case 'not':
+        throw new QueryError(`The "-" at character ${token.position + 1} is repeated. One is enough to exclude a word.`, token.position);
+      case 'field': {
+        const value = next();
+        if (value.type === 'phrase' && !value.text.trim()) {
+          throw new QueryError(`The quotes at character ${value.position + 1} have nothing in them.`, value.position);
+        }
+        if (token.field === 'title') {
+          return { type: value.type === 'phrase' ? 'phrase' : 'text', field: 'title', text: value.text };
+        }
+        return { type: 'filter', field: token.field, value: value.text.trim() };
+      }
+      case 'phrase':
+        if (!token.text.trim()) {
+          throw new QueryError(`The quotes at character ${token.position + 1} have nothing in them.`, token.position);
+        }
+        return { type: 'phrase', field: null, text: token.text };
+      default:
+        return { type: 'text', field: null, text: token.text };
+    }
+  }
+
+  const tree = parseOr();
+  if (peek()) {
+    // Only a stray closing bracket stops parsing early
+    const token = peek();
+    throw new QueryError(`The ")" at character ${token.position + 1} doesn't close an opening bracket.`, token.position);
+  }
+  return tree;
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  QueryError,
+  parseQuery
+};
@@ -0,0 +1,89 @@
+// BM25F relevance ranking. Each document's text is split into fields, term
+// frequencies are counted per field, and each field's frequency is weighted
+// by its boost and normalised by the field's length relative to the average
+// before the usual BM25 saturation is applied.
+
+// Fields documents are split into, in the order they are shown in debug output
+const SEARCH_FIELDS = ['title', 'introduction', 'headings', 'body'];
+
+// How much a match in each field counts for, relative to the body
+const DEFAULT_FIELD_BOOSTS = {
+  title: 5,
+  introduction: 2,
+  headings: 2,
+  body: 1
+};
+
+// How quickly repeated terms stop adding to the score
+const K1 = 1.2;
+
+// How much long fields are penalised, from 0 (not at all) to 1 (fully)
+const FIELD_LENGTH_NORMALISATION = {
+  title: 0.5,
+  introduction: 0.75,
+  headings: 0.75,
+  body: 0.75
+};
+
+// Parse field boosts written as "title:5,body:1", on top of the defaults.
+// Unknown fields and values that aren't numbers are ignored.
+function parseBoosts(text, defaults = DEFAULT_FIELD_BOOSTS) {
+  const boosts = { ...defaults };
+  (text || '').split(',').forEach(entry => {
+    const [field, value] = entry.split(':').map(part => part && part.trim());
+    const boost = Number(value);
+    if (SEARCH_FIELDS.includes(field) && value !== '' && Number.isFinite(boost) && boost >= 0) {
+      boosts[field] = boost;
+    }
+  });
+  return boosts;
+}
+
+// Inverse document frequency of a term found in `matching` of `total` documents
+function inverseDocumentFrequency(total, matching) {
+  return Math.log(1 + (total - matching + 0.5) / (matching + 0.5));
+}
+
+// Score a document against query terms.
+// - termFrequencies: term -> { field: count } for this document
+// - stats: { documentCount, documentFrequency(term), averageFieldLengths }
+// Returns { score, terms } where terms is the per-term breakdown for debugging.
+function scoreDocument(document, termFrequencies, queryTerms, stats, boosts) {
+  let score = 0;
+  const terms = [];
+
+  queryTerms.forEach(term => {
+    const frequencies = termFrequencies[term];
+    if (!frequencies) return;
+
+    const idf = inverseDocumentFrequency(stats.documentCount, stats.documentFrequency(term));
+    const fields = {};
+    let weightedFrequency = 0;
+
+    SEARCH_FIELDS.forEach(field => {
+      const frequency = frequencies[field] || 0;
+      if (frequency === 0) return;
+
+      const averageLength = stats.averageFieldLengths[field] || 1;
+      const b = FIELD_LENGTH_NORMALISATION[field];
+      const lengthNorm = 1 - b + b * (document.fieldLengths[field] / averageLength);
+      const weighted = (boosts[field] * frequency) / lengthNorm;
+
+      weightedFrequency += weighted;
+      fields[field] = { frequency, length: document.fieldLengths[field], boost: boosts[field], weighted };
+    });
+
+    const termScore = idf * (weightedFrequency * (K1 + 1)) / (weightedFrequency + K1);
+    score += termScore;
+    terms.push({ term, idf, weightedFrequency, score: termScore, fields });
+  });
+
+  return { score, terms };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  DEFAULT_FIELD_BOOSTS,
+  parseBoosts,
+  scoreDocument
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Snapshots of the search index on disk, so a restart can serve searches
+// straight away and only catch up on what changed while it was down.
+
+// Bump when the shape of the documents or postings changes, or how their
+// text is taken from content, so snapshots written by an earlier version are
+// rebuilt rather than misread
+const SNAPSHOT_FORMAT = 5;
+
+// Write the index to a snapshot file. It is written under another name and
+// renamed into place, so a crash part way through leaves the last one whole.
+async function saveSnapshot(file, { searchIndex, schemas, analyzer, indexedAt }) {
+  const savedAt = new Date();
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    analyzer: analyzer.fingerprint,
+    savedAt,
+    indexedAt,
+    schemas,
+    documents: searchIndex.documents,
+    postings: [...searchIndex.postings].map(([token, documents]) => [token, [...documents]]),
+    fieldLengthTotals: searchIndex.fieldLengthTotals
+  };
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporaryFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporaryFile, JSON.stringify(snapshot));
+  await fs.promises.rename(temporaryFile, file);
+  return savedAt;
+}
+
+// Read a snapshot, or null if there isn't one that can be used: it is
+// missing or unreadable, in another format, or was analysed with other
+// settings than the current analyser's
+function loadSnapshot(file, analyzer) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ignoring unreadable search index snapshot:', error.message);
+    }
+    return null;
+  }
+
+  if (snapshot.format !== SNAPSHOT_FORMAT) {
+    console.log(`Ignoring search index snapshot in format ${snapshot.format}, expected ${SNAPSHOT_FORMAT}`);
+    return null;
+  }
+  if (snapshot.analyzer !== analyzer.fingerprint) {
+    console.log('Ignoring search index snapshot made with different analysis settings');
+    return null;
+  }
+
+  return {
+    searchIndex: {
+      documents: snapshot.documents,
+      postings: new Map(snapshot.postings.map(([token, documents]) => [token, new Map(documents)])),
+      fieldLengthTotals: snapshot.fieldLengthTotals
+    },
+    schemas: snapshot.schemas,
+    savedAt: new Date(snapshot.savedAt),
+    indexedAt: snapshot.indexedAt ? new Date(snapshot.indexedAt) : null
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  saveSnapshot,
+  loadSnapshot
+};
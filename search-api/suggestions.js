@@ -0,0 +1,151 @@
+const { QUERY_FIELDS } = require('./query-parser');
+
+// Autocomplete and spelling suggestions, built from the indexed documents.
+// - Completions are titles that start with what has been typed, or that have
+//   a word starting with it, ranked by how well they match and how popular
+//   the page is. Popularity is how many other pages link to it, as their
+//   parent or as related content.
+// - Corrections swap words nothing was found for with the closest indexed
+//   words by edit distance, preferring more common ones.
+
+// Shortest word that is corrected, and the furthest a correction can be
+const MIN_CORRECTED_LENGTH = 3;
+const maxDistanceFor = (word) => (word.length <= 4 ? 1 : 2);
+
+// Build the prefix index and vocabulary from the search index's documents
+function buildSuggestionIndex(documents) {
+  const prefixes = [];
+  const words = new Map();
+  const popularity = new Map();
+
+  Object.values(documents).forEach(doc => {
+    // One entry for each word the title could be completed from
+    const title = (doc.title || '').toLowerCase();
+    const wordPattern = /\w+/g;
+    let match;
+    while ((match = wordPattern.exec(title))) {
+      prefixes.push({ key: title.slice(match.index), start: match.index, id: doc.id });
+    }
+
+    // Words in the document, counted once per document
+    new Set(doc.text.match(/[a-z]+/g) || []).forEach(word => {
+      if (word.length >= MIN_CORRECTED_LENGTH) words.set(word, (words.get(word) || 0) + 1);
+    });
+
+    (doc.linksTo || []).forEach(id => popularity.set(id, (popularity.get(id) || 0) + 1));
+  });
+
+  prefixes.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return { prefixes, words, popularity };
+}
+
+// Titles completing some typed text, best first, with where the typed text
+// is in each title
+function completeTitle(suggestionIndex, documents, text, limit) {
+  const typed = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!typed) return [];
+  const { prefixes, popularity } = suggestionIndex;
+
+  // Binary search for the first key at or after the typed text
+  let low = 0;
+  let high = prefixes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (prefixes[middle].key < typed) low = middle + 1; else high = middle;
+  }
+
+  // Best match per document: the start of the title beats a later word
+  const best = new Map();
+  for (let index = low; index < prefixes.length && prefixes[index].key.startsWith(typed); index++) {
+    const { id, start } = prefixes[index];
+    if (!best.has(id) || start < best.get(id).start) best.set(id, { id, start });
+  }
+
+  return [...best.values()]
+    .map(({ id, start }) => {
+      const doc = documents[id];
+      const score = (start === 0 ? 2 : 1) * (1 + Math.log1p(popularity.get(id) || 0));
+      return { doc, start, score };
+    })
+    .sort((a, b) => b.score - a.score || a.doc.title.length - b.doc.title.length || a.doc.title.localeCompare(b.doc.title))
+    .slice(0, limit)
+    .map(({ doc, start }) => ({
+      title: doc.title,
+      path: doc.path,
+      type: doc.type,
+      highlight: [start, start + typed.length]
+    }));
+}
+
+// Edit distance between two words, counting a swap of neighbouring letters
+// as one edit. Gives up with Infinity once it must be more than max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > max) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// The indexed word closest to a misspelt one, or null if none is close enough
+function closestWord(suggestionIndex, word) {
+  const max = maxDistanceFor(word);
+  let best = null;
+  suggestionIndex.words.forEach((frequency, candidate) => {
+    const distance = editDistance(word, candidate, max);
+    if (distance === Infinity) return;
+    if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+      best = { word: candidate, distance, frequency };
+    }
+  });
+  return best && best.word;
+}
+
+// Respell the words of a query that isKnown(word) says aren't indexed,
+// leaving its syntax, excluded words and type: and path: values alone.
+// Returns the new query and what was changed, or null if nothing could be
+// corrected.
+function correctQuery(suggestionIndex, query, isKnown) {
+  const corrections = [];
+  const correctWords = (text) => text.replace(/[a-z]+/gi, word => {
+    const lower = word.toLowerCase();
+    if (lower.length < MIN_CORRECTED_LENGTH || isKnown(lower)) return word;
+    const correction = closestWord(suggestionIndex, lower);
+    if (!correction) return word;
+    corrections.push({ from: word, to: correction });
+    return correction;
+  });
+
+  const corrected = query.replace(/[^\s()"]+/g, chunk => {
+    if (chunk === 'OR' || chunk === 'AND' || chunk.startsWith('-')) return chunk;
+    const qualifier = /^([a-z]+):(.*)$/i.exec(chunk);
+    if (qualifier && QUERY_FIELDS.includes(qualifier[1].toLowerCase())) {
+      if (qualifier[1].toLowerCase() !== 'title') return chunk;
+      return `${qualifier[1]}:${correctWords(qualifier[2])}`;
+    }
+    return correctWords(chunk);
+  });
+
+  return corrections.length > 0 ? { query: corrected, corrections } : null;
+}
+
+module.exports = {
+  buildSuggestionIndex,
+  completeTitle,
+  correctQuery
+};
@@ -0,0 +1,496 @@
+// Govspeak: Markdown with GOV.UK's extensions, for the body text of content.
+// The frontend renders pages with it and search-api indexes their text.
+//
+// Markdown: ## headings, paragraphs, *emphasis*, **strong**, `code`,
+// [links](/path "title"), <https://autolinks>, bulleted and numbered lists,
+// > quotes, --- rules, ``` code blocks and | tables |.
+// Govspeak extensions:
+// - ^Information callout^ and %Warning callout%, as paragraphs
+// - $CTA ... $CTA call to action, $C ... $C contact details, and
+//   $A ... $A addresses, each on its own lines
+// - s1. First step, s2. Second step: numbered steps
+// - footnotes: a reference[^1], defined on a line of its own as [^1]: Text
+//
+// Text is parsed into blocks and inline nodes, then rendered as HTML or as
+// plain text. Rendering is what keeps the HTML safe: all text is escaped,
+// HTML in the source is shown as text rather than passed through, only the
+// tags and attributes below are ever written, and links are only kept for
+// safe schemes.
+
+// Link targets that are kept: web and email addresses, phone numbers, and
+// paths, fragments and relative links on the site. Anything else, such as
+// javascript:, is shown as plain text.
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|tel:|\/|#|[^:/?#]*(?:[/?#]|$))/i;
+
+const BLOCK_MARKER_PATTERN = /^\$(CTA|C|A)(?=\s|$)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])( *\1){2,} *$/;
+const FENCE_PATTERN = /^ {0,3}```/;
+const LIST_ITEM_PATTERN = /^( *)([*+-]|\d{1,9}[.)])\s+(.*)$/;
+const STEP_PATTERN = /^s(\d+)\.\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const FOOTNOTE_DEFINITION_PATTERN = /^\[\^([^\]\s]+)\]:\s?(.*)$/;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isBlank = (line) => line.trim() === '';
+
+// Number of spaces a line starts with
+const indentOf = (line) => line.match(/^ */)[0].length;
+
+// Whether a line starts a block other than a paragraph, so ends a paragraph
+function startsBlock(line, next) {
+  return HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || FENCE_PATTERN.test(line) ||
+    BLOCK_MARKER_PATTERN.test(line.trim()) || /^ {0,3}>/.test(line) || LIST_ITEM_PATTERN.test(line) ||
+    STEP_PATTERN.test(line) || isTableStart(line, next);
+}
+
+function isTableStart(line, next) {
+  return line.includes('|') && next !== undefined && TABLE_SEPARATOR_PATTERN.test(next) && next.includes('-');
+}
+
+// Cells of a table row, without the outer pipes. \| is a pipe in a cell.
+function tableCells(line) {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Lines from a start line up to a closing $CTA-style marker, with the
+// markers removed. An unclosed block runs to the end of the text.
+function delimitedBlock(lines, start, marker) {
+  const close = `$${marker}`;
+  const first = lines[start].trim().slice(close.length);
+  if (first.trim().endsWith(close) && first.trim().length > close.length - 1) {
+    return { inner: [first.trim().slice(0, -close.length)], end: start + 1 };
+  }
+  const inner = first.trim() ? [first] : [];
+  for (let index = start + 1; index < lines.length; index++) {
+    const trimmed = lines[index].trim();
+    if (trimmed.endsWith(close)) {
+      const before = trimmed.slice(0, -close.length);
+      if (before.trim()) inner.push(before);
+      return { inner, end: index + 1 };
+    }
+    inner.push(lines[index]);
+  }
+  return { inner, end: lines.length };
+}
+
+// The lines of a list starting at a line, as items of dedented lines
+function listItems(lines, start) {
+  const [, indent, marker] = lines[start].match(LIST_ITEM_PATTERN);
+  const ordered = /\d/.test(marker);
+  const sameList = (line) => {
+    const match = line.match(LIST_ITEM_PATTERN);
+    return match && match[1].length === indent.length && /\d/.test(match[2]) === ordered;
+  };
+
+  const items = [];
+  let index = start;
+  while (index < lines.length && sameList(lines[index])) {
+    const [, , itemMarker, first] = lines[index].match(LIST_ITEM_PATTERN);
+    const contentIndent = indent.length + itemMarker.length + 1;
+    const itemLines = [first];
+    index++;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (isBlank(line)) {
+        // A blank line continues the item only if indented text follows
+        let next = index + 1;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+          itemLines.push(...lines.slice(index, next).map(() => ''));
+          index = next;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) >= contentIndent || (indentOf(line) > indent.length && LIST_ITEM_PATTERN.test(line))) {
+        itemLines.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      } else if (!startsBlock(line) && !sameList(line)) {
+        // Lazy continuation of the item's text
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      index++;
+    }
+    items.push(itemLines);
+    // Blank lines between items keep the list going
+    let next = index;
+    while (next < lines.length && isBlank(lines[next])) next++;
+    if (next < lines.length && sameList(lines[next])) index = next;
+  }
+  return { ordered, items, end: index };
+}
+
+// Parse lines into blocks
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    let match;
+
+    if (isBlank(line)) {
+      index++;
+    } else if (FENCE_PATTERN.test(line)) {
+      const code = [];
+      index++;
+      while (index < lines.length && !FENCE_PATTERN.test(lines[index])) code.push(lines[index++]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      index++;
+    } else if ((match = trimmed.match(BLOCK_MARKER_PATTERN))) {
+      const { inner, end } = delimitedBlock(lines, index, match[1]);
+      const type = { CTA: 'cta', C: 'contact', A: 'address' }[match[1]];
+      blocks.push(type === 'address'
+        ? { type, lines: inner.map(text => text.trim()).filter(Boolean) }
+        : { type, blocks: parseBlocks(inner) });
+      index = end;
+    } else if ((match = line.match(HEADING_PATTERN))) {
+      // Pages have their own h1, so headings in the body start at h2
+      blocks.push({ type: 'heading', level: Math.max(2, match[1].length), text: match[2] });
+      index++;
+    } else if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+    } else if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (index < lines.length && /^ {0,3}>/.test(lines[index])) {
+        quoted.push(lines[index++].replace(/^ {0,3}> ?/, ''));
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+    } else if (STEP_PATTERN.test(trimmed)) {
+      const steps = [];
+      while (index < lines.length && (STEP_PATTERN.test(lines[index].trim()) || (steps.length > 0 &&
+        !isBlank(lines[index]) && !startsBlock(lines[index], lines[index + 1])))) {
+        const step = lines[index].trim().match(STEP_PATTERN);
+        if (step) {
+          steps.push(step[2]);
+        } else {
+          steps[steps.length - 1] += `\n${lines[index].trim()}`;
+        }
+        index++;
+        // Blank lines between steps keep them together
+        let next = index;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && STEP_PATTERN.test(lines[next].trim())) index = next;
+      }
+      blocks.push({ type: 'steps', steps });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const { ordered, items, end } = listItems(lines, index);
+      blocks.push({ type: 'list', ordered, items: items.map(parseBlocks) });
+      index = end;
+    } else if (isTableStart(line, lines[index + 1])) {
+      const header = tableCells(line);
+      const align = tableCells(lines[index + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : null;
+      });
+      const rows = [];
+      index += 2;
+      while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+        rows.push(tableCells(lines[index++]));
+      }
+      blocks.push({ type: 'table', header, align, rows });
+    } else {
+      const paragraph = [line];
+      index++;
+      while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines[index], lines[index + 1])) {
+        paragraph.push(lines[index++]);
+      }
+      const text = paragraph.map(part => part.replace(/^ +/, '')).join('\n');
+      // A paragraph wrapped in ^ or % is a callout
+      const callout = text.match(/^([\^%])([\s\S]*\S)\1$/);
+      if (callout && callout[2].trim()) {
+        blocks.push({ type: 'callout', kind: callout[1] === '^' ? 'information' : 'warning', text: callout[2].trim() });
+      } else {
+        blocks.push({ type: 'paragraph', text: text.replace(/\s+$/, '') });
+      }
+    }
+  }
+  return blocks;
+}
+
+// Take footnote definitions out of the text: lines like [^1]: Text, with
+// any indented lines after them
+function extractFootnotes(lines) {
+  const definitions = new Map();
+  const rest = [];
+  for (let index = 0; index < lines.length; index++) {
+    const match = lines[index].match(FOOTNOTE_DEFINITION_PATTERN);
+    if (!match) {
+      rest.push(lines[index]);
+      continue;
+    }
+    const text = [match[2]];
+    while (index + 1 < lines.length && /^ {2,}\S/.test(lines[index + 1])) {
+      text.push(lines[++index].trim());
+    }
+    definitions.set(match[1], text.join('\n'));
+  }
+  return { definitions, rest };
+}
+
+// Inline syntax, tried at each position in order
+const INLINE_RULES = [
+  { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!^%$|>~])/y },
+  { type: 'break', pattern: / {2,}\n/y },
+  { type: 'code', pattern: /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/y },
+  { type: 'footnote', pattern: /\[\^([^\]\s]+)\]/y },
+  { type: 'link', pattern: /\[((?:[^[\]\\]|\\.)*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)/y },
+  { type: 'autolink', pattern: /<((?:https?:\/\/|mailto:)[^\s<>]+)>/y },
+  { type: 'strong', pattern: /(\*\*|__)(?=\S)([\s\S]*?\S)\1(?!(?<=\*)\*|(?<=_)_)/y, opener: /(\*\*|__)(?=\S)/y },
+  { type: 'emphasis', pattern: /(\*|_)(?=[^\s*_])([\s\S]*?[^\s\\*_])\1(?!\1)/y, opener: /(\*|_)(?=[^\s*_])/y }
+];
+
+// Parse text into inline nodes
+function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  // Delimiters found to have no closing match in the rest of the text. A
+  // later one can't have one either, so isn't searched for again, which
+  // would take time growing with the square of the text's length.
+  const unclosed = new Set();
+
+  let index = 0;
+  while (index < text.length) {
+    let matched = null;
+    for (const rule of INLINE_RULES) {
+      const key = `${rule.type}${text[index]}`;
+      if (unclosed.has(key)) continue;
+      rule.pattern.lastIndex = index;
+      const match = rule.pattern.exec(text);
+      if (!match) {
+        if (rule.opener) {
+          rule.opener.lastIndex = index;
+          if (rule.opener.test(text)) unclosed.add(key);
+        }
+        continue;
+      }
+      // Underscores only count at word edges, so snake_case stays as it is
+      if (match[1] && match[1][0] === '_' && (/\w/.test(text[index - 1] || '') || /\w/.test(text[rule.pattern.lastIndex] || ''))) continue;
+      matched = { rule, match };
+      break;
+    }
+    if (!matched) {
+      buffer += text[index++];
+      continue;
+    }
+
+    const { rule, match } = matched;
+    index += match[0].length;
+    if (rule.type === 'escape') {
+      buffer += match[1];
+      continue;
+    }
+    flush();
+    if (rule.type === 'break') nodes.push({ type: 'break' });
+    if (rule.type === 'code') nodes.push({ type: 'code', text: match[2].trim() });
+    if (rule.type === 'footnote') nodes.push({ type: 'footnote', id: match[1] });
+    if (rule.type === 'link') nodes.push({ type: 'link', href: match[2], title: match[3], children: parseInline(match[1]) });
+    if (rule.type === 'autolink') nodes.push({ type: 'link', href: match[1], children: [{ type: 'text', text: match[1].replace(/^mailto:/, '') }] });
+    if (rule.type === 'strong' || rule.type === 'emphasis') nodes.push({ type: rule.type, children: parseInline(match[2]) });
+  }
+  flush();
+  return nodes;
+}
+
+// Parse Govspeak into { blocks, footnotes }
+function parseGovspeak(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const { definitions, rest } = extractFootnotes(lines);
+  return { blocks: parseBlocks(rest), footnotes: definitions };
+}
+
+// Footnotes are numbered in the order they are first referred to
+function footnoteNumber(context, id) {
+  if (!context.definitions.has(id)) return null;
+  if (!context.numbers.has(id)) context.numbers.set(id, context.numbers.size + 1);
+  return context.numbers.get(id);
+}
+
+function inlineHtml(nodes, context) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.text).replace(/\n/g, context.lineBreaks ? '<br>\n' : '\n');
+      case 'break':
+        return '<br>\n';
+      case 'code':
+        return `<code>${escapeHtml(node.text)}</code>`;
+      case 'strong':
+        return `<strong>${inlineHtml(node.children, context)}</strong>`;
+      case 'emphasis':
+        return `<em>${inlineHtml(node.children, context)}</em>`;
+      case 'footnote': {
+        const number = footnoteNumber(context, node.id);
+        if (!number) return escapeHtml(`[^${node.id}]`);
+        const id = `${context.idPrefix}fn-${number}`;
+        return `<sup id="${id}-ref"><a href="#${id}" class="footnote" role="doc-noteref">[${number}]</a></sup>`;
+      }
+      case 'link': {
+        const label = inlineHtml(node.children, context);
+        if (!SAFE_URL_PATTERN.test(node.href)) return label;
+        const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+        const external = /^https?:\/\//i.test(node.href) ? ' rel="external"' : '';
+        return `<a href="${escapeHtml(node.href)}"${title}${external}>${label}</a>`;
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function blocksHtml(blocks, context) {
+  return blocks.map(block => blockHtml(block, context)).join('\n');
+}
+
+function blockHtml(block, context) {
+  const inline = (text) => inlineHtml(parseInline(text), context);
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${inline(block.text)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${inline(block.text)}</p>`;
+    case 'rule':
+      return '<hr>';
+    case 'code':
+      return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case 'quote':
+      return `<blockquote>\n${blocksHtml(block.blocks, context)}\n</blockquote>`;
+    case 'callout': {
+      const label = block.kind === 'information' ? 'Information' : 'Warning';
+      return `<div role="note" aria-label="${label}" class="callout callout-${block.kind}">\n<p>${inline(block.text)}</p>\n</div>`;
+    }
+    case 'cta':
+      return `<div class="call-to-action">\n${blocksHtml(block.blocks, context)}\n</div>`;
+    case 'contact':
+      return `<div class="contact">\n${blocksHtml(block.blocks, { ...context, lineBreaks: true })}\n</div>`;
+    case 'address':
+      return `<div class="address">\n<p>${block.lines.map(inline).join('<br>\n')}</p>\n</div>`;
+    case 'steps':
+      return `<ol class="steps">\n${block.steps.map(step => `<li><p>${inline(step)}</p></li>`).join('\n')}\n</ol>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = block.items.map(item => {
+        // Items of one paragraph are written without the <p>
+        const html = item.length === 1 && item[0].type === 'paragraph'
+          ? inline(item[0].text)
+          : blocksHtml(item, context);
+        return `<li>${html}</li>`;
+      });
+      return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+    }
+    case 'table': {
+      const style = (index) => (block.align[index] ? ` style="text-align: ${block.align[index]}"` : '');
+      const header = block.header.map((cell, index) => `<th scope="col"${style(index)}>${inline(cell)}</th>`).join('');
+      const rows = block.rows.map(row =>
+        `<tr>${block.header.map((unused, index) => `<td${style(index)}>${inline(row[index] || '')}</td>`).join('')}</tr>`);
+      return `<table>\n<thead>\n<tr>${header}</tr>\n</thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+    }
+    default:
+      return '';
+  }
+}
+
+// Render Govspeak as safe HTML. idPrefix keeps footnote ids apart when a
+// page shows several bodies, such as guide parts.
+function renderGovspeak(source, { idPrefix = '' } = {}) {
+  const { blocks, footnotes } = parseGovspeak(source);
+  const context = { definitions: footnotes, numbers: new Map(), idPrefix: escapeHtml(idPrefix), lineBreaks: false };
+  let html = blocksHtml(blocks, context);
+
+  // Footnote text can refer to further footnotes, which are added as they
+  // are found
+  const notes = [];
+  for (const [id, number] of context.numbers) {
+    const noteId = `${context.idPrefix}fn-${number}`;
+    const text = inlineHtml(parseInline(footnotes.get(id)), context);
+    notes.push(`<li id="${noteId}"><p>${text} <a href="#${noteId}-ref" role="doc-backlink" aria-label="Back to content">↩</a></p></li>`);
+  }
+  if (notes.length > 0) {
+    html += `\n<div class="footnotes" role="doc-endnotes">\n<ol>\n${notes.join('\n')}\n</ol>\n</div>`;
+  }
+  return html;
+}
+
+function inlineText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text' || node.type === 'code') return node.text;
+    if (node.type === 'break') return '\n';
+    if (node.children) return inlineText(node.children);
+    return '';
+  }).join('');
+}
+
+function blocksText(blocks) {
+  const inline = (text) => inlineText(parseInline(text));
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph':
+      case 'callout':
+        return inline(block.text);
+      case 'code':
+        return block.text;
+      case 'quote':
+      case 'cta':
+      case 'contact':
+        return blocksText(block.blocks);
+      case 'address':
+        return block.lines.map(inline).join('\n');
+      case 'steps':
+        return block.steps.map(inline).join('\n');
+      case 'list':
+        return block.items.map(blocksText).join('\n');
+      case 'table':
+        return [block.header, ...block.rows].map(row => row.map(inline).join(' ')).join('\n');
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+// The text of Govspeak without its markup, e.g. for the search index.
+// Footnotes that are referred to come at the end.
+function govspeakToText(source) {
+  const { blocks, footnotes } = parseGovspeak(source);
+  const referred = new Set();
+  const findReferences = (text) => parseInline(text).forEach(function visit(node) {
+    if (node.type === 'footnote' && footnotes.has(node.id)) referred.add(node.id);
+    (node.children || []).forEach(visit);
+  });
+  const walk = (list) => list.forEach(block => {
+    if (block.text !== undefined && block.type !== 'code') findReferences(block.text);
+    (block.lines || block.steps || []).forEach(findReferences);
+    if (block.type === 'table') [block.header, ...block.rows].forEach(row => row.forEach(findReferences));
+    (block.blocks || []).forEach(child => walk([child]));
+    (block.items || []).forEach(walk);
+  });
+  walk(blocks);
+  // Sets visit what is added while they are looped over, so this picks up
+  // footnotes referred to from other footnotes
+  for (const id of referred) findReferences(footnotes.get(id));
+
+  return [blocksText(blocks), ...[...referred].map(id => inlineText(parseInline(footnotes.get(id))))]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  renderGovspeak,
+  govspeakToText
+};
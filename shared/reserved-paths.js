@@ -0,0 +1,72 @@
+// Paths the site answers itself rather than sending to content. The router
+// builds its built-in routes from these and the Publishing API refuses
+// content at them, so neither can shadow the other.
+
+// Routes the frontend answers, as the router routes them. An exact route
+// matches only its path; a prefix route matches its path and everything
+// under it. cache: false keeps a route out of the router's response cache,
+// and listing: true marks one that lists content, so is purged from it
+// whenever content changes.
+const FRONTEND_ROUTES = [
+  { path: '', type: 'exact', listing: true },
+  { path: 'search', type: 'prefix' },
+  { path: 'preview', type: 'prefix', cache: false },
+  { path: 'robots.txt', type: 'exact' },
+  { path: 'sitemap.xml', type: 'exact', listing: true },
+  { path: 'sitemaps', type: 'prefix', listing: true },
+  { path: 'feed.atom', type: 'exact', listing: true }
+];
+
+// The frontend's feed of one document type, e.g. guides.atom. Any path
+// ending in .atom is kept for feeds, so types added later have theirs free.
+const FEED_EXTENSION = '.atom';
+const feedPath = (documentType) => `${documentType}s${FEED_EXTENSION}`;
+
+// Paths answered before the route table is looked at: the admin, which the
+// router sends to the frontend once the session is checked, and the
+// frontend's health check and 404 page
+const SERVICE_ROUTES = [
+  { path: 'admin', type: 'prefix' },
+  { path: 'health', type: 'exact' },
+  { path: '404', type: 'exact' }
+];
+
+// The router's own endpoints, such as /__routes, start with this
+const ROUTER_PATH_PREFIX = '__';
+
+// The page under a guide's path that shows all its parts, for printing
+const PRINT_PATH = 'print';
+
+// Last segments the frontend answers itself under a content item's path,
+// so no guide part or other content can use them
+const RESERVED_SUBPATHS = [PRINT_PATH];
+
+const routeMatches = (route, path) => path === route.path ||
+  (route.type === 'prefix' && path.startsWith(`${route.path}/`));
+
+// Why content can't be at a path, without its leading slash, or null if it
+// can
+function reservedPathReason(path) {
+  if (path.startsWith(ROUTER_PATH_PREFIX)) {
+    return `starts with ${ROUTER_PATH_PREFIX}, which the router keeps for itself`;
+  }
+  const route = [...FRONTEND_ROUTES, ...SERVICE_ROUTES].find(reserved => routeMatches(reserved, path));
+  if (route) return `is used by the site itself, for /${route.path}`;
+  if (path.endsWith(FEED_EXTENSION)) {
+    return `can't end in ${FEED_EXTENSION}, which is used for feeds`;
+  }
+  const segments = path.split('/');
+  const last = segments[segments.length - 1];
+  if (segments.length > 1 && RESERVED_SUBPATHS.includes(last)) {
+    return `can't end in /${last}, which the site uses itself`;
+  }
+  return null;
+}
+
+module.exports = {
+  FRONTEND_ROUTES,
+  feedPath,
+  PRINT_PATH,
+  RESERVED_SUBPATHS,
+  reservedPathReason
+};